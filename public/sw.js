@@ -21,3 +21,18 @@ self.addEventListener('fetch', (event) => {
   if (event.request.method !== 'GET') return;
   event.respondWith(fetch(event.request));
 });
+
+// Watch-rule notifications: focus an open LAN-SHELL window (and its terminal tab), or open one.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const sessionId = event.notification.data?.sessionId || '';
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows[0];
+    if (client) {
+      client.postMessage({ type: 'focus-session', sessionId });
+      return client.focus();
+    }
+    return self.clients.openWindow('/');
+  })());
+});
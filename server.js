@@ -23,11 +23,14 @@ process.on('unhandledRejection', (reason, promise) => {
 import express from 'express';
 import { WebSocketServer } from 'ws';
 import pty from 'node-pty';
+import headless from '@xterm/headless';
+import { SerializeAddon } from '@xterm/addon-serialize';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
-import { execFile } from 'child_process';
+import net from 'net';
+import { execFile, execFileSync, spawn } from 'child_process';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -40,6 +43,43 @@ const ALLOWED_CMDS = (process.env.ALLOWED_CMDS || 'npm,node,yarn,pnpm,ls,bash')
   .filter(Boolean);
 // 用于“刷新后恢复终端输出”的回放缓冲区上限（字符数）
 const HISTORY_MAX_CHARS = Number.parseInt(process.env.HISTORY_MAX_CHARS || '', 10) || 500000;
+// bash shell integration（OSC 133 命令标记，见 shell-integration.bash）；SHELL_INTEGRATION=0 关闭
+const SHELL_INTEGRATION_ENABLED = (process.env.SHELL_INTEGRATION || '1') !== '0';
+// 服务端虚拟终端保留的回滚行数（重连时发送“屏幕 + 回滚区”快照）
+const TERMINAL_SCROLLBACK = Number.parseInt(process.env.TERMINAL_SCROLLBACK || '', 10) || 5000;
+// 会话托管进程：终端 shell 由独立的 session-host.js 持有，服务重启/升级时不会被杀掉（SESSION_HOST=0 关闭）
+const SESSION_HOST_ENABLED = (process.env.SESSION_HOST || '1') !== '0';
+// shell 退出后会话保留多久再移除（秒；便于客户端看到退出状态与最后输出；负数表示不自动移除）
+const SESSION_EXIT_GRACE_SECONDS = Number.parseInt(process.env.SESSION_EXIT_GRACE_SECONDS ?? '', 10);
+const SESSION_EXIT_GRACE_MS = (Number.isFinite(SESSION_EXIT_GRACE_SECONDS) ? SESSION_EXIT_GRACE_SECONDS : 600) * 1000;
+// 新建终端是否默认开启录像（asciicast v2，存到 data/recordings/）
+const RECORD_SESSIONS = process.env.RECORD_SESSIONS === '1';
+// 终端流控：单个 WebSocket 发送缓冲超过高水位视为“跟不上”；所有客户端都跟不上时暂停 PTY，
+// 降到低水位（高水位的 1/4）后恢复。慢客户端只保留最近 WS_COALESCE_MAX_CHARS 字符的待发输出。
+const WS_HIGH_WATER_BYTES = Number.parseInt(process.env.WS_HIGH_WATER_BYTES || '', 10) || (1024 * 1024);
+const WS_LOW_WATER_BYTES = Math.floor(WS_HIGH_WATER_BYTES / 4);
+const WS_COALESCE_MAX_CHARS = Number.parseInt(process.env.WS_COALESCE_MAX_CHARS || '', 10) || (256 * 1024);
+// 会话上限（0 表示不限制）：会话总数、每个 clientId 的会话数、所有会话回放历史的总字符数
+// （超出历史总量时从最久未活动的会话开始截短历史）。
+function envCount(name, fallback) {
+  const v = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+}
+const MAX_SESSIONS = envCount('MAX_SESSIONS', 50);
+const MAX_SESSIONS_PER_CLIENT = envCount('MAX_SESSIONS_PER_CLIENT', 20);
+const MAX_HISTORY_TOTAL_CHARS = envCount('MAX_HISTORY_TOTAL_CHARS', 64 * 1024 * 1024);
+// 新建 shell 的资源限制（未设置则不限制；终端配置里的 limits 可逐项覆盖）：
+// nice 值、CPU 时间（秒，ulimit -t）、虚拟内存（MB，ulimit -v）、打开文件数（ulimit -n）
+function envLimit(name) {
+  const v = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isFinite(v) ? v : null;
+}
+const DEFAULT_SESSION_LIMITS = {
+  nice: envLimit('SESSION_NICE'),
+  cpuSeconds: envLimit('SESSION_CPU_SECONDS'),
+  memoryMB: envLimit('SESSION_MEMORY_MB'),
+  openFiles: envLimit('SESSION_OPEN_FILES'),
+};
 
 const app = express();
 // 文本编辑会走 JSON；实际可写入大小由各 API 的限制控制
@@ -50,10 +90,11 @@ app.use(express.json({ limit: '8mb' }));
 const DATA_DIR = path.join(__dirname, 'data');
 const COMMAND_SETS_FILE = path.join(DATA_DIR, 'command-sets.json');
 
+// updatedAt 固定，保证还没有文件时多次读取得到同一个版本号（并发检查依赖它）
 function defaultCommandSets() {
   return {
     version: 1,
-    updatedAt: new Date().toISOString(),
+    updatedAt: new Date(0).toISOString(),
     root: { id: 'root', type: 'folder', name: 'root', children: [] },
   };
 }
@@ -64,7 +105,7 @@ function validateCommandNode(node, depth = 0, counter = { n: 0 }) {
 
   const { id, type, name } = node;
   if (typeof id !== 'string' || !id.trim()) return { ok: false, error: 'id invalid' };
-  if (type !== 'folder' && type !== 'command') return { ok: false, error: 'type invalid' };
+  if (type !== 'folder' && type !== 'command' && type !== 'workflow') return { ok: false, error: 'type invalid' };
   if (typeof name !== 'string' || !name.trim()) return { ok: false, error: 'name invalid' };
 
   counter.n += 1;
@@ -77,6 +118,9 @@ function validateCommandNode(node, depth = 0, counter = { n: 0 }) {
       const r = validateCommandNode(child, depth + 1, counter);
       if (!r.ok) return r;
     }
+  } else if (type === 'workflow') {
+    const r = validateWorkflowSteps(node.steps);
+    if (!r.ok) return r;
   } else {
     const content = node.content;
     if (typeof content !== 'string') return { ok: false, error: 'content invalid' };
@@ -89,6 +133,122 @@ function validateCommandNode(node, depth = 0, counter = { n: 0 }) {
   return { ok: true };
 }
 
+// 指令模板：内容里的 {{name}}、{{name:type}} 或 {{name:a|b|c}}（可选值列表）是参数占位符，
+// 点击指令时先填写参数再发送。type 为 text / path / number / choice。
+// 指令节点可带 params: { name: { type, label, default, options, pattern, min, max, required, raw } } 声明参数，
+// 声明优先于占位符里的写法。填入的值默认按 shell 规则加单引号（raw: true 时原样插入）。
+const COMMAND_PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][\w-]{0,39})\s*(?::([^{}]*))?\}\}/g;
+const COMMAND_PARAM_TYPES = ['text', 'path', 'number', 'choice'];
+const COMMAND_PARAMS_MAX = 20;
+
+function placeholderSpec(spec) {
+  const text = String(spec ?? '').trim();
+  if (!text) return { type: 'text' };
+  if (COMMAND_PARAM_TYPES.includes(text) && text !== 'choice') return { type: text };
+  const options = text.split('|').map((o) => o.trim()).filter(Boolean);
+  if (text === 'choice' || !options.length) return { error: `placeholder needs options: ${text}` };
+  return { type: 'choice', options };
+}
+
+// 返回 { params: [...] }（按首次出现的顺序）或 { error }
+function commandTemplateParams(node) {
+  const declared = node.params ?? {};
+  if (!declared || typeof declared !== 'object' || Array.isArray(declared)) return { error: 'params invalid' };
+  const byName = new Map();
+  for (const m of String(node.content || '').matchAll(COMMAND_PLACEHOLDER_RE)) {
+    if (byName.has(m[1])) continue;
+    const spec = placeholderSpec(m[2]);
+    if (spec.error) return { error: spec.error };
+    byName.set(m[1], { name: m[1], ...spec });
+  }
+  if (byName.size > COMMAND_PARAMS_MAX) return { error: 'too many params' };
+
+  const params = [];
+  for (const [name, inline] of byName) {
+    const decl = declared[name] ?? {};
+    if (!decl || typeof decl !== 'object') return { error: `param ${name} invalid` };
+    const param = { ...inline, ...decl, name };
+    if (!COMMAND_PARAM_TYPES.includes(param.type)) return { error: `param ${name}: type must be one of ${COMMAND_PARAM_TYPES.join(', ')}` };
+    if (param.label !== undefined && typeof param.label !== 'string') return { error: `param ${name}: label invalid` };
+    if (param.type === 'choice' && (!Array.isArray(param.options) || !param.options.length || param.options.some((o) => typeof o !== 'string'))) {
+      return { error: `param ${name}: options required` };
+    }
+    if (param.pattern !== undefined) {
+      try {
+        new RegExp(param.pattern);
+      } catch (e) {
+        return { error: `param ${name}: invalid pattern: ${e?.message || e}` };
+      }
+    }
+    for (const k of ['min', 'max']) {
+      if (param[k] !== undefined && !Number.isFinite(param[k])) return { error: `param ${name}: ${k} invalid` };
+    }
+    if (param.default !== undefined && typeof param.default !== 'string' && typeof param.default !== 'number') {
+      return { error: `param ${name}: default invalid` };
+    }
+    params.push({
+      name,
+      type: param.type,
+      label: param.label || name,
+      default: param.default !== undefined ? String(param.default) : param.type === 'choice' ? param.options[0] : '',
+      options: param.type === 'choice' ? param.options : undefined,
+      pattern: param.pattern,
+      min: param.min,
+      max: param.max,
+      required: param.required !== false,
+      raw: Boolean(param.raw),
+    });
+  }
+  return { params };
+}
+
+// 只在保存时检查（读取旧文件时不因模板写法问题丢弃整个指令集）
+function validateCommandTemplates(node) {
+  if (node.type === 'command') {
+    const t = commandTemplateParams(node);
+    return t.error ? { ok: false, error: `${node.name}: ${t.error}` } : { ok: true };
+  }
+  for (const child of node.children || []) {
+    const r = validateCommandTemplates(child);
+    if (!r.ok) return r;
+  }
+  return { ok: true };
+}
+
+function shellQuote(value) {
+  if (/^[\w./:@%+=,-]+$/.test(value)) return value;
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+function validateCommandParamValue(param, value) {
+  if (/[\r\n\0]/.test(value)) return `${param.label}: 不能包含换行`;
+  if (!value) return param.required ? `${param.label}: 必填` : null;
+  if (param.type === 'number') {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return `${param.label}: 需要数字`;
+    if (param.min !== undefined && n < param.min) return `${param.label}: 不能小于 ${param.min}`;
+    if (param.max !== undefined && n > param.max) return `${param.label}: 不能大于 ${param.max}`;
+  }
+  if (param.type === 'choice' && !param.options.includes(value)) return `${param.label}: 必须是 ${param.options.join(' / ')} 之一`;
+  if (param.pattern && !new RegExp(`^(?:${param.pattern})$`).test(value)) return `${param.label}: 不符合格式 ${param.pattern}`;
+  return null;
+}
+
+// values 中缺少的参数取默认值；返回 { command } 或 { error, param }
+function renderCommandTemplate(node, values = {}) {
+  const t = commandTemplateParams(node);
+  if (t.error) return { error: t.error };
+  const filled = {};
+  for (const param of t.params) {
+    const raw = values?.[param.name];
+    const value = raw === undefined || raw === null ? param.default : String(raw);
+    const error = validateCommandParamValue(param, value);
+    if (error) return { error, param: param.name };
+    filled[param.name] = param.raw || !value ? value : shellQuote(value);
+  }
+  return { command: String(node.content || '').replace(COMMAND_PLACEHOLDER_RE, (_, name) => filled[name]) };
+}
+
 function readCommandSets() {
   try {
     if (!fs.existsSync(COMMAND_SETS_FILE)) return defaultCommandSets();
@@ -109,20 +269,566 @@ function readCommandSets() {
   }
 }
 
-function writeCommandSets(payload) {
+// source：edit / restore / import，记录在版本历史里
+function writeCommandSets(payload, source = 'edit') {
   fs.mkdirSync(DATA_DIR, { recursive: true });
+  const previous = readCommandSets();
+  // 启用版本历史之前就存在的文件也保留为一个版本
+  if (fs.existsSync(COMMAND_SETS_FILE)) saveCommandSetsRevision(previous, 'initial');
+  // updatedAt 同时是版本号：保证严格递增
+  const now = Math.max(Date.now(), (Date.parse(previous.updatedAt) || 0) + 1);
   const data = {
     version: 1,
-    updatedAt: new Date().toISOString(),
+    updatedAt: new Date(now).toISOString(),
     root: payload.root,
   };
 
+  // 先保存版本再替换文件：版本写入失败时整个写入失败，不会出现已保存却返回错误的情况
+  saveCommandSetsRevision(data, source);
   const tmp = `${COMMAND_SETS_FILE}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmp, COMMAND_SETS_FILE);
+  } catch (e) {
+    unlinkQuiet(tmp);
+    unlinkQuiet(path.join(COMMAND_SETS_REVISIONS_DIR, `${commandSetsRevisionId(data)}.json`));
+    throw e;
+  }
+  return data;
+}
+
+// 指令集版本：每次写入的版本都另存到 data/command-sets-revisions/<updatedAt 毫秒>.json（保留最近
+// COMMAND_SETS_REVISIONS_MAX 个），可查看差异与恢复。写入时若带上读取时的 updatedAt 且已不是最新，返回 409。
+const COMMAND_SETS_REVISIONS_DIR = path.join(DATA_DIR, 'command-sets-revisions');
+const COMMAND_SETS_REVISIONS_MAX = Number.parseInt(process.env.COMMAND_SETS_REVISIONS_MAX || '', 10) || 50;
+const COMMAND_SETS_REVISION_RE = /^(\d+)\.json$/;
+
+function commandSetsRevisionId(data) {
+  return String(Date.parse(data?.updatedAt) || 0);
+}
+
+function saveCommandSetsRevision(data, source) {
+  fs.mkdirSync(COMMAND_SETS_REVISIONS_DIR, { recursive: true });
+  const file = path.join(COMMAND_SETS_REVISIONS_DIR, `${commandSetsRevisionId(data)}.json`);
+  if (fs.existsSync(file)) return;
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...data, source }, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+
+  const ids = listCommandSetsRevisionIds();
+  for (const id of ids.slice(0, Math.max(0, ids.length - COMMAND_SETS_REVISIONS_MAX))) {
+    try {
+      fs.unlinkSync(path.join(COMMAND_SETS_REVISIONS_DIR, `${id}.json`));
+    } catch {}
+  }
+}
+
+// 旧到新
+function listCommandSetsRevisionIds() {
+  if (!fs.existsSync(COMMAND_SETS_REVISIONS_DIR)) return [];
+  return fs
+    .readdirSync(COMMAND_SETS_REVISIONS_DIR)
+    .map((f) => f.match(COMMAND_SETS_REVISION_RE)?.[1])
+    .filter(Boolean)
+    .sort((a, b) => Number(a) - Number(b));
+}
+
+function readCommandSetsRevision(id) {
+  if (!/^\d+$/.test(String(id || ''))) return null;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path.join(COMMAND_SETS_REVISIONS_DIR, `${id}.json`), 'utf8'));
+    return parsed?.root && validateCommandNode(parsed.root).ok ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// 写入前的版本检查：指令集文件存在后必须带上读取时的 updatedAt（缺少返回 400，已不是最新返回 409），
+// 通过时返回 null，否则返回 { status, error, current }
+function commandSetsConflict(baseUpdatedAt) {
+  if (!fs.existsSync(COMMAND_SETS_FILE)) return null;
+  const current = readCommandSets();
+  if (baseUpdatedAt === undefined || baseUpdatedAt === null || baseUpdatedAt === '') {
+    return { status: 400, error: 'updatedAt required', current };
+  }
+  if (current.updatedAt === String(baseUpdatedAt)) return null;
+  return { status: 409, error: '指令集已在其他地方被修改，请刷新后重试', current };
+}
+
+function genCommandNodeId() {
+  return `c_${Date.now().toString(36)}_${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// 展开为 id -> { type, name, path, content, autoSend, params }，用于对比版本
+function flattenCommandTree(root) {
+  const out = new Map();
+  const walk = (node, prefix) => {
+    for (const child of node.children || []) {
+      const entry = { id: child.id, type: child.type, name: child.name, path: prefix };
+      if (child.type === 'command') {
+        Object.assign(entry, { content: child.content, autoSend: Boolean(child.autoSend), params: child.params || null });
+      } else if (child.type === 'workflow') {
+        entry.steps = child.steps;
+      }
+      out.set(child.id, entry);
+      if (child.type === 'folder') walk(child, prefix ? `${prefix} / ${child.name}` : child.name);
+    }
+  };
+  walk(root, '');
+  return out;
+}
+
+function diffCommandTrees(fromRoot, toRoot) {
+  const from = flattenCommandTree(fromRoot);
+  const to = flattenCommandTree(toRoot);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [id, entry] of to) {
+    const before = from.get(id);
+    if (!before) {
+      added.push(entry);
+      continue;
+    }
+    const fields = ['type', 'name', 'path', 'content', 'autoSend'].filter((k) => before[k] !== entry[k]);
+    if (JSON.stringify(before.params) !== JSON.stringify(entry.params)) fields.push('params');
+    if (JSON.stringify(before.steps) !== JSON.stringify(entry.steps)) fields.push('steps');
+    if (fields.length) changed.push({ id, fields, before, after: entry });
+  }
+  for (const [id, entry] of from) {
+    if (!to.has(id)) removed.push(entry);
+  }
+  return { added, removed, changed };
+}
+
+// 导出为 shell 脚本：文件夹写成 `# ===== a / b =====`，每条指令写成 `# --- 名称 ---` 加内容，
+// 导入时按同样的标记还原（autoSend 与参数声明不会保留；工作流导出为各步骤的命令，导入后是普通指令）
+function commandSetsToShell(data) {
+  const lines = [
+    '#!/bin/sh',
+    `# LAN-SHELL command sets, exported ${new Date().toISOString()} (version ${data.updatedAt})`,
+    '# Each "# --- name ---" block is one command and "# ===== path =====" starts a folder.',
+    '# Not meant to be run as a whole.',
+    '',
+  ];
+  const oneLine = (s) => String(s).replace(/[\r\n]+/g, ' ');
+  const walk = (node, prefix) => {
+    if (prefix) lines.push(`# ===== ${prefix} =====`, '');
+    for (const child of node.children || []) {
+      if (child.type === 'command') lines.push(`# --- ${oneLine(child.name)} ---`, ...String(child.content || '').split('\n'), '');
+      if (child.type === 'workflow') lines.push(`# --- ${oneLine(child.name)} ---`, ...child.steps.flatMap((st) => String(st.command).split('\n')), '');
+    }
+    for (const child of node.children || []) {
+      if (child.type === 'folder') walk(child, prefix ? `${prefix} / ${oneLine(child.name)}` : oneLine(child.name));
+    }
+  };
+  walk(data.root, '');
+  return `${lines.join('\n')}\n`;
+}
+
+// 没有任何标记的普通脚本：每个非空、非注释行作为一条指令
+function commandSetsFromShell(text) {
+  const root = { id: 'root', type: 'folder', name: 'root', children: [] };
+  const ensureFolder = (folderPath) => {
+    let node = root;
+    for (const name of folderPath.split(' / ').map((n) => n.trim()).filter(Boolean)) {
+      let next = node.children.find((c) => c.type === 'folder' && c.name === name);
+      if (!next) {
+        next = { id: genCommandNodeId(), type: 'folder', name, children: [] };
+        node.children.push(next);
+      }
+      node = next;
+    }
+    return node;
+  };
+
+  let folder = root;
+  let cmd = null;
+  let lines = [];
+  let marked = false;
+  const finish = () => {
+    if (cmd) cmd.content = lines.join('\n').replace(/\s+$/, '');
+    cmd = null;
+    lines = [];
+  };
+  for (const line of String(text || '').split(/\r?\n/)) {
+    let m = line.match(/^# ={3,} (.+?) ={3,}$/);
+    if (m) {
+      finish();
+      marked = true;
+      folder = ensureFolder(m[1]);
+      continue;
+    }
+    m = line.match(/^# -{3,} (.+?) -{3,}$/);
+    if (m) {
+      finish();
+      marked = true;
+      cmd = { id: genCommandNodeId(), type: 'command', name: m[1].trim(), content: '', autoSend: false };
+      folder.children.push(cmd);
+      continue;
+    }
+    if (cmd) lines.push(line);
+  }
+  finish();
+
+  if (!marked) {
+    for (const line of String(text || '').split(/\r?\n/)) {
+      const content = line.trim();
+      if (!content || content.startsWith('#')) continue;
+      root.children.push({ id: genCommandNodeId(), type: 'command', name: content.slice(0, 60), content, autoSend: false });
+    }
+  }
+  return root;
+}
+
+// 保证整棵树的 id 唯一（导入的数据可能与现有节点重复）
+function freshCommandNodeId(id, usedIds) {
+  const next = typeof id === 'string' && id.trim() && !usedIds.has(id) ? id : genCommandNodeId();
+  usedIds.add(next);
+  return next;
+}
+
+function normalizeCommandTreeIds(node, usedIds = new Set(['root'])) {
+  for (const child of node.children || []) {
+    child.id = freshCommandNodeId(child.id, usedIds);
+    if (child.type === 'folder') normalizeCommandTreeIds(child, usedIds);
+  }
+  return node;
+}
+
+// 合并导入：同名文件夹合并，同名指令用导入的内容覆盖，其余追加。
+// contentOnly：shell 脚本里没有 autoSend / 参数声明，合并时保留现有的
+function mergeCommandTree(target, incoming, usedIds, stats, contentOnly = false) {
+  for (const child of incoming.children || []) {
+    if (child.type === 'folder') {
+      let existing = target.children.find((c) => c.type === 'folder' && c.name === child.name);
+      if (!existing) {
+        existing = { id: freshCommandNodeId(child.id, usedIds), type: 'folder', name: child.name, children: [] };
+        target.children.push(existing);
+        stats.folders += 1;
+      }
+      mergeCommandTree(existing, child, usedIds, stats, contentOnly);
+      continue;
+    }
+    const existing = target.children.find((c) => c.type === child.type && c.name === child.name);
+    if (!existing) {
+      target.children.push({ ...child, id: freshCommandNodeId(child.id, usedIds) });
+      stats.added += 1;
+    } else if (child.type === 'workflow') {
+      if (JSON.stringify(existing.steps) === JSON.stringify(child.steps)) {
+        stats.unchanged += 1;
+      } else {
+        existing.steps = child.steps;
+        stats.updated += 1;
+      }
+    } else if (
+      existing.content === child.content &&
+      (contentOnly ||
+        (Boolean(existing.autoSend) === Boolean(child.autoSend) &&
+          JSON.stringify(existing.params || null) === JSON.stringify(child.params || null)))
+    ) {
+      stats.unchanged += 1;
+    } else if (contentOnly) {
+      existing.content = child.content;
+      stats.updated += 1;
+    } else {
+      existing.content = child.content;
+      existing.autoSend = Boolean(child.autoSend);
+      if (child.params) existing.params = child.params;
+      else delete existing.params;
+      stats.updated += 1;
+    }
+  }
+}
+
+// 项目指令集：从工作目录向上（直到 ALLOW_ROOT）查找 .lanshell/commands.json，合并成只读的“项目”文件夹；
+// 另外把最近的 package.json scripts 与 Makefile 目标生成为指令（PROJECT_COMMANDS_AUTO=0 关闭，或请求时 auto=0）。
+// 节点 id 由来源文件与原 id 计算，同一目录多次读取得到相同的 id（模板参数接口按 id 查找）。
+const PROJECT_COMMANDS_FILE = path.join('.lanshell', 'commands.json');
+const PROJECT_COMMANDS_FILE_MAX_BYTES = 1024 * 1024;
+const PROJECT_COMMANDS_AUTO = process.env.PROJECT_COMMANDS_AUTO !== '0';
+const PROJECT_AUTO_COMMANDS_MAX = 200;
+const MAKEFILE_NAMES = ['GNUmakefile', 'makefile', 'Makefile'];
+
+function projectNodeId(source, id) {
+  return `p_${crypto.createHash('sha1').update(`${source}\0${id}`).digest('hex').slice(0, 16)}`;
+}
+
+function markProjectNodes(node, source) {
+  for (const child of node.children || []) {
+    child.id = projectNodeId(source, child.id);
+    child.readOnly = true;
+    if (child.type === 'folder') markProjectNodes(child, source);
+  }
+  return node;
+}
+
+function projectFolder(source, name, children) {
+  markProjectNodes({ children }, source);
+  return { id: projectNodeId(source, ''), type: 'folder', name, readOnly: true, source, children };
+}
+
+// 工作目录及其上级目录（近到远），不超出 ALLOW_ROOT
+function projectDirsFrom(cwd) {
+  const root = path.resolve(ROOT);
+  const dirs = [];
+  let dir = path.resolve(cwd);
+  while (pathWithin(root, dir)) {
+    dirs.push(dir);
+    if (dir === root) break;
+    dir = path.dirname(dir);
+  }
+  return dirs;
+}
+
+function readJsonFileLimited(file) {
+  const st = fs.statSync(file);
+  if (!st.isFile()) throw new Error('not a file');
+  if (st.size > PROJECT_COMMANDS_FILE_MAX_BYTES) throw new Error('file too large');
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// 与导出格式相同（{ root }），也接受单个文件夹节点或节点数组
+function readProjectCommandFile(file) {
+  let parsed;
+  try {
+    parsed = readJsonFileLimited(file);
+  } catch (e) {
+    return { error: e?.message || 'invalid file' };
+  }
+  const children = Array.isArray(parsed) ? parsed : (parsed?.root || parsed)?.children;
+  if (!Array.isArray(children)) return { error: 'missing root' };
+  const node = { id: 'root', type: 'folder', name: 'root', children };
+  const r = validateCommandNode(node);
+  if (!r.ok) return { error: r.error || 'invalid' };
+  const t = validateCommandTemplates(node);
+  if (!t.ok) return { error: t.error };
+  return { node };
+}
+
+function detectPackageManager(dir) {
+  if (fs.existsSync(path.join(dir, 'pnpm-lock.yaml'))) return 'pnpm';
+  if (fs.existsSync(path.join(dir, 'yarn.lock'))) return 'yarn';
+  if (fs.existsSync(path.join(dir, 'bun.lockb')) || fs.existsSync(path.join(dir, 'bun.lock'))) return 'bun';
+  return 'npm';
+}
+
+// 不在工作目录时用子 shell 切过去执行，不改变终端当前目录
+function inDirCommand(dir, cwd, command) {
+  return dir === cwd ? command : `(cd ${shellQuote(dir)} && ${command})`;
+}
+
+function packageScriptCommands(dir, cwd) {
+  const pkg = readJsonFileLimited(path.join(dir, 'package.json'));
+  const scripts = pkg?.scripts && typeof pkg.scripts === 'object' ? pkg.scripts : {};
+  const pm = detectPackageManager(dir);
+  return Object.entries(scripts)
+    .filter(([name, script]) => name && typeof script === 'string')
+    .slice(0, PROJECT_AUTO_COMMANDS_MAX)
+    .map(([name, script]) => ({
+      id: name,
+      type: 'command',
+      name,
+      content: inDirCommand(dir, cwd, `${pm} run ${shellQuote(name)}`),
+      autoSend: false,
+      description: script,
+    }));
+}
+
+// 只识别显式写出的目标（不含模式规则、以 . 开头的特殊目标与变量赋值）
+function makefileTargets(file) {
+  const st = fs.statSync(file);
+  if (st.size > PROJECT_COMMANDS_FILE_MAX_BYTES) throw new Error('file too large');
+  const targets = [];
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    // 排除变量赋值：:=、::=、:::= 由结尾的前瞻挡住，=、!=、?=、+= 由名字里不允许 = 挡住
+    const m = line.match(/^([A-Za-z0-9_][^:=#\t]*?)\s*::?(?![:=])/);
+    if (!m) continue;
+    for (const name of m[1].split(/\s+/)) {
+      if (!name || name.includes('%') || name.includes('$') || targets.includes(name)) continue;
+      targets.push(name);
+    }
+    if (targets.length >= PROJECT_AUTO_COMMANDS_MAX) break;
+  }
+  return targets;
+}
+
+function projectCommandSets(cwd, { auto = PROJECT_COMMANDS_AUTO } = {}) {
+  const children = [];
+  const sources = [];
+  const dirs = projectDirsFrom(cwd);
+  const relOf = (p) => path.relative(ROOT, p) || '.';
+
+  for (const dir of dirs) {
+    const file = path.join(dir, PROJECT_COMMANDS_FILE);
+    if (!fs.existsSync(file)) continue;
+    const source = relOf(file);
+    const r = readProjectCommandFile(file);
+    if (r.error) {
+      sources.push({ type: 'file', path: source, error: r.error });
+      continue;
+    }
+    const commands = Array.from(flattenCommandTree(r.node).values()).filter((e) => e.type !== 'folder').length;
+    children.push(projectFolder(source, relOf(dir) === '.' ? path.basename(ROOT) || '/' : relOf(dir), r.node.children));
+    sources.push({ type: 'file', path: source, commands });
+  }
+
+  if (auto) {
+    const pkgDir = dirs.find((d) => fs.existsSync(path.join(d, 'package.json')));
+    if (pkgDir) {
+      const source = relOf(path.join(pkgDir, 'package.json'));
+      try {
+        const commands = packageScriptCommands(pkgDir, cwd);
+        if (commands.length) children.push(projectFolder(source, `${detectPackageManager(pkgDir)} scripts`, commands));
+        sources.push({ type: 'package', path: source, commands: commands.length });
+      } catch (e) {
+        sources.push({ type: 'package', path: source, error: e?.message || 'invalid package.json' });
+      }
+    }
+
+    let makefile = null;
+    for (const dir of dirs) {
+      makefile = MAKEFILE_NAMES.map((n) => path.join(dir, n)).find((f) => fs.existsSync(f));
+      if (makefile) break;
+    }
+    if (makefile) {
+      const source = relOf(makefile);
+      const makeDir = path.dirname(makefile);
+      try {
+        const commands = makefileTargets(makefile).map((name) => ({
+          id: name,
+          type: 'command',
+          name,
+          content: makeDir === cwd ? `make ${shellQuote(name)}` : `make -C ${shellQuote(makeDir)} ${shellQuote(name)}`,
+          autoSend: false,
+        }));
+        if (commands.length) children.push(projectFolder(source, 'make', commands));
+        sources.push({ type: 'make', path: source, commands: commands.length });
+      } catch (e) {
+        sources.push({ type: 'make', path: source, error: e?.message || 'invalid Makefile' });
+      }
+    }
+  }
+
+  return {
+    cwd: relOf(cwd),
+    root: { id: 'project', type: 'folder', name: '项目', readOnly: true, children },
+    sources,
+  };
+}
+
+// 请求里带 cwd 时，按 id 在该目录的项目指令里查找（模板参数 / 渲染接口使用）
+function findProjectCommandEntry(req, id) {
+  const raw = req.query?.cwd;
+  if (raw === undefined) return null;
+  const cwd = path.resolve(ROOT, raw.toString());
+  if (!withinRoot(cwd)) return null;
+  try {
+    return findCommandSetEntry(projectCommandSets(cwd).root, id);
+  } catch {
+    return null;
+  }
+}
+
+// 终端配置（profile）：shell 及参数、是否 login shell、额外环境变量、TERM、启动命令、起始目录。
+// 新建终端时通过 /ws/pty?profile=<id> 选择；未指定时使用内置默认（/bin/bash + xterm-color）。
+const PROFILES_FILE = path.join(DATA_DIR, 'profiles.json');
+const PROFILE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  shell: '/bin/bash',
+  args: [],
+  login: false,
+  env: {},
+  term: 'xterm-color',
+  initialCommand: '',
+  cwd: '',
+  limits: {},
+};
+
+// limits: { nice, cpuSeconds, memoryMB, openFiles }；省略的项沿用全局默认，null 表示该项不限制
+const SESSION_LIMIT_RANGES = {
+  nice: [-20, 19],
+  cpuSeconds: [1, 7 * 24 * 3600],
+  memoryMB: [64, 1024 * 1024],
+  openFiles: [32, 1024 * 1024],
+};
+
+function validateSessionLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) return { ok: false, error: 'limits invalid' };
+  const out = {};
+  for (const [key, value] of Object.entries(limits)) {
+    const range = SESSION_LIMIT_RANGES[key];
+    if (!range) return { ok: false, error: `unknown limit: ${key}` };
+    if (value === null) {
+      out[key] = null;
+      continue;
+    }
+    if (!Number.isInteger(value) || value < range[0] || value > range[1]) {
+      return { ok: false, error: `limit ${key} must be an integer between ${range[0]} and ${range[1]}` };
+    }
+    out[key] = value;
+  }
+  return { ok: true, limits: out };
+}
+
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object') return { ok: false, error: 'profile invalid' };
+  const { id, name, shell, args = [], login = false, env = {}, term = 'xterm-color', initialCommand = '', cwd = '', limits = {} } = profile;
+  if (typeof id !== 'string' || !PROFILE_ID_RE.test(id)) return { ok: false, error: 'id invalid' };
+  if (typeof name !== 'string' || !name.trim() || name.length > 80) return { ok: false, error: 'name invalid' };
+  if (typeof shell !== 'string' || !path.isAbsolute(shell)) return { ok: false, error: 'shell must be an absolute path' };
+  if (!Array.isArray(args) || args.length > 64 || args.some((a) => typeof a !== 'string')) {
+    return { ok: false, error: 'args invalid' };
+  }
+  if (typeof login !== 'boolean') return { ok: false, error: 'login invalid' };
+  if (!env || typeof env !== 'object' || Array.isArray(env)) return { ok: false, error: 'env invalid' };
+  for (const [k, v] of Object.entries(env)) {
+    if (!ENV_NAME_RE.test(k) || typeof v !== 'string') return { ok: false, error: `env ${k} invalid` };
+  }
+  if (typeof term !== 'string' || !/^[\w.+-]{1,64}$/.test(term)) return { ok: false, error: 'term invalid' };
+  if (typeof initialCommand !== 'string' || initialCommand.length > 20000) return { ok: false, error: 'initialCommand invalid' };
+  if (typeof cwd !== 'string') return { ok: false, error: 'cwd invalid' };
+  if (cwd && !withinRoot(path.resolve(ROOT, cwd))) return { ok: false, error: 'cwd out of root' };
+  const limitsResult = validateSessionLimits(limits);
+  if (!limitsResult.ok) return limitsResult;
+
+  return {
+    ok: true,
+    profile: { id, name: name.trim(), shell, args, login, env, term, initialCommand, cwd, limits: limitsResult.limits },
+  };
+}
+
+function readProfiles() {
+  try {
+    if (!fs.existsSync(PROFILES_FILE)) return [];
+    const parsed = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+    const list = Array.isArray(parsed?.profiles) ? parsed.profiles : [];
+    return list.map((p) => validateProfile(p)).filter((r) => r.ok).map((r) => r.profile);
+  } catch (e) {
+    console.error('读取终端配置失败，将忽略:', e?.message || e);
+    return [];
+  }
+}
+
+function writeProfiles(profiles) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const data = { version: 1, updatedAt: new Date().toISOString(), profiles };
+  const tmp = `${PROFILES_FILE}.${process.pid}.tmp`;
   fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
-  fs.renameSync(tmp, COMMAND_SETS_FILE);
+  fs.renameSync(tmp, PROFILES_FILE);
   return data;
 }
 
+// A stored profile with id "default" overrides the built-in one.
+function findProfile(id) {
+  const key = id || DEFAULT_PROFILE.id;
+  return readProfiles().find((p) => p.id === key) || (key === DEFAULT_PROFILE.id ? DEFAULT_PROFILE : null);
+}
+
 // Disable browser caching globally to avoid stale UI/logic across refreshes.
 app.use((req, res, next) => {
   res.setHeader('Cache-Control', 'no-store');
@@ -154,48 +860,2724 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-const withinRoot = (targetPath) => {
-  const real = path.resolve(targetPath);
-  return real.startsWith(path.resolve(ROOT));
-};
+const withinRoot = (targetPath) => {
+  const real = path.resolve(targetPath);
+  return real.startsWith(path.resolve(ROOT));
+};
+
+// Terminal session management
+const terminalSessions = new Map(); // id -> session
+
+function filterHistoryForReplay(data) {
+  // 过滤“清空回滚区”的控制序列：很多 clear 实现会输出 ESC[3J，导致回放时只能看到当前屏幕且无法上滑。
+  // 这里只影响“恢复回放”，不影响真实 PTY 会话本身。
+  try {
+    return String(data || '').replace(/\x1b\[3J/g, '');
+  } catch {
+    return '';
+  }
+}
+
+function trimHistoryForReplay(history, maxChars = HISTORY_MAX_CHARS) {
+  const s = String(history || '');
+  if (s.length <= maxChars) return s;
+  let start = s.length - maxChars;
+  // 尽量从换行边界开始，避免截断在半行/半个控制序列附近导致回放只剩“屏幕绘制片段”
+  const nl = s.indexOf('\n', start);
+  if (nl !== -1 && nl + 1 < s.length) start = nl + 1;
+  return s.slice(start);
+}
+
+// 服务端虚拟终端：每个会话用 headless xterm 解析 PTY 输出，重连时发送序列化后的屏幕快照
+// （回滚区、光标、终端模式、备用屏幕），vim/htop/less 等全屏程序刷新后也能正确还原。
+// session.history 仍保留原始输出，用于历史接口与兜底。
+const { Terminal: HeadlessTerminal } = headless;
+
+function createVirtualTerminal(cols, rows, initial = '') {
+  const term = new HeadlessTerminal({ cols, rows, scrollback: TERMINAL_SCROLLBACK, allowProposedApi: true });
+  const serializer = new SerializeAddon();
+  term.loadAddon(serializer);
+  if (initial) term.write(initial);
+  return { term, serializer };
+}
+
+function serializeVirtualTerminal(vt) {
+  try {
+    return vt.serializer.serialize({ scrollback: TERMINAL_SCROLLBACK });
+  } catch {
+    return '';
+  }
+}
+
+// Snapshot after every write queued so far has been parsed; later output is not included.
+// The leading RIS (ESC c) clears whatever the client still shows before the snapshot is drawn.
+function snapshotVirtualTerminal(vt, cb) {
+  vt.term.write('', () => cb(`\x1bc${serializeVirtualTerminal(vt)}`));
+}
+
+// 命令历史（shell integration）：解析 OSC 133 提示符标记（A 提示符开始 / B 输入开始 / C 输出开始 / D 结束+退出码），
+// 在虚拟终端的解析过程中同步记录位置，因此标记被拆到多个数据块里也不影响。
+// 每条命令记录命令行、cwd、开始/结束时间、退出码与输出文本；标记行号用于前端在命令块之间跳转。
+const SHELL_INTEGRATION_FILE = path.join(__dirname, 'shell-integration.bash');
+const COMMAND_HISTORY_MAX = 100;
+const COMMAND_OUTPUT_MAX_CHARS = 64 * 1024;
+
+// bash profiles get `--rcfile shell-integration.bash`; a login profile is emulated there since -l ignores --rcfile.
+function shellLaunchArgs(profile) {
+  const isBash = path.basename(profile.shell) === 'bash';
+  const custom = profile.args.some((a) => a === '-c' || a === '--rcfile' || a === '--norc');
+  if (!SHELL_INTEGRATION_ENABLED || !isBash || custom) {
+    return { args: profile.login ? ['-l', ...profile.args] : profile.args, env: {} };
+  }
+  return {
+    args: ['--rcfile', SHELL_INTEGRATION_FILE, ...profile.args],
+    env: profile.login ? { LANSHELL_LOGIN_SHELL: '1' } : {},
+  };
+}
+
+function effectiveSessionLimits(profile) {
+  const merged = { ...DEFAULT_SESSION_LIMITS, ...(profile.limits || {}) };
+  return Object.fromEntries(Object.entries(merged).filter(([, v]) => v !== null && v !== undefined));
+}
+
+// 服务进程的硬限制（shell 继承）。ulimit 超过硬限制会失败，shell 随即退出且看不到原因，所以新建会话前先检查。
+let processHardLimits = null;
+
+function readProcessHardLimits() {
+  if (processHardLimits) return processHardLimits;
+  try {
+    const out = execFileSync('/bin/sh', ['-c', 'ulimit -Ht; ulimit -Hv; ulimit -Hn'], { encoding: 'utf8' });
+    const [cpu, memoryKB, files] = out.trim().split('\n').map((v) => (v.trim() === 'unlimited' ? Infinity : Number(v)));
+    processHardLimits = { cpuSeconds: cpu, memoryMB: memoryKB / 1024, openFiles: files };
+  } catch (e) {
+    console.warn('读取进程硬限制失败，跳过检查:', e?.message || e);
+    processHardLimits = {};
+  }
+  return processHardLimits;
+}
+
+function spawnLimitsError(limits) {
+  const hard = readProcessHardLimits();
+  const labels = { cpuSeconds: 'CPU 时间（秒）', memoryMB: '内存（MB）', openFiles: '打开文件数' };
+  for (const [key, label] of Object.entries(labels)) {
+    if (limits[key] && Number.isFinite(hard[key]) && limits[key] > hard[key]) {
+      return `资源限制 ${key}=${limits[key]} 超过系统硬限制（${label} ${Math.floor(hard[key])}）`;
+    }
+  }
+  return null;
+}
+
+// Limits are applied by a tiny /bin/sh wrapper that sets ulimits and then execs (optionally via nice)
+// the real shell, so the session pid is still the shell's pid.
+function applySpawnLimits(file, args, limits) {
+  const steps = [];
+  if (limits.cpuSeconds) steps.push(`ulimit -t ${limits.cpuSeconds}`);
+  if (limits.memoryMB) steps.push(`ulimit -v ${limits.memoryMB * 1024}`);
+  if (limits.openFiles) steps.push(`ulimit -n ${limits.openFiles}`);
+  const nice = limits.nice ? `nice -n ${limits.nice} ` : '';
+  if (!steps.length && !nice) return { file, args };
+  return { file: '/bin/sh', args: ['-c', [...steps, `exec ${nice}"$0" "$@"`].join(' && '), file, ...args] };
+}
+
+function readBufferText(term, fromLine, toLine, maxChars = COMMAND_OUTPUT_MAX_CHARS) {
+  const buf = term.buffer.active;
+  let text = '';
+  for (let i = Math.max(0, fromLine); i < Math.min(toLine, buf.length); i += 1) {
+    const line = buf.getLine(i);
+    if (!line) continue;
+    // 软换行的续行直接拼接，其余行之间补换行
+    if (i > fromLine && !line.isWrapped) text += '\n';
+    text += line.translateToString(true);
+    if (text.length > maxChars) return { text: text.slice(0, maxChars), truncated: true };
+  }
+  return { text, truncated: false };
+}
+
+function decodeCommandLine(params) {
+  for (const p of params) {
+    if (p.startsWith('cmdline_url=')) {
+      try {
+        return decodeURIComponent(p.slice('cmdline_url='.length));
+      } catch {}
+    }
+    if (p.startsWith('cmdline=')) return p.slice('cmdline='.length);
+  }
+  return null;
+}
+
+function disposeCommandMarker(session, id) {
+  try {
+    session.commandMarkers?.get(id)?.dispose();
+  } catch {}
+  session.commandMarkers?.delete(id);
+}
+
+function handleOsc133(session, data) {
+  const term = session.vt.term;
+  const buf = term.buffer.active;
+  const [kind, ...params] = String(data).split(';');
+
+  switch (kind) {
+    case 'B': {
+      // 提示符结束：记下命令输入的位置（没有 cmdline 参数时从这里读取命令行）
+      try {
+        session.promptEnd?.marker.dispose();
+      } catch {}
+      session.promptEnd = { marker: term.registerMarker(0), x: buf.cursorX };
+      return;
+    }
+    case 'C': {
+      let command = decodeCommandLine(params);
+      const promptEnd = session.promptEnd;
+      session.promptEnd = null;
+      if (command === null && promptEnd && !promptEnd.marker.isDisposed) {
+        const line = buf.getLine(promptEnd.marker.line)?.translateToString(true) || '';
+        command = line.slice(promptEnd.x);
+      }
+      const rec = {
+        id: (session.commandSeq = (session.commandSeq || 0) + 1),
+        command: String(command || '').trim(),
+        cwd: session.cwd,
+        startedAt: new Date(),
+        endedAt: null,
+        exitCode: null,
+        durationMs: null,
+        output: '',
+        outputTruncated: false,
+      };
+      session.commands.push(rec);
+      // 命令行所在行用于跳转；输出起始行用于结束时截取输出
+      const startMarker = promptEnd && !promptEnd.marker.isDisposed ? promptEnd.marker : term.registerMarker(0);
+      session.commandMarkers.set(rec.id, startMarker);
+      session.runningCommand = { rec, outputMarker: term.registerMarker(0) };
+      while (session.commands.length > COMMAND_HISTORY_MAX) disposeCommandMarker(session, session.commands.shift().id);
+      markSessionsDirty();
+      return;
+    }
+    case 'D': {
+      const running = session.runningCommand;
+      // 空回车或第一次提示符也会发 D：没有对应的 C 时忽略
+      if (!running) return;
+      session.runningCommand = null;
+      const { rec, outputMarker } = running;
+      const code = Number.parseInt(params[0] ?? '', 10);
+      rec.exitCode = Number.isFinite(code) ? code : null;
+      rec.endedAt = new Date();
+      rec.durationMs = rec.endedAt - rec.startedAt;
+      if (outputMarker.isDisposed) {
+        // 输出超过回滚区，开头部分已被挤掉
+        rec.outputTruncated = true;
+      } else {
+        const end = buf.baseY + buf.cursorY + (buf.cursorX > 0 ? 1 : 0);
+        const { text, truncated } = readBufferText(term, outputMarker.line, end);
+        rec.output = text.replace(/\s+$/, '');
+        rec.outputTruncated = truncated;
+        outputMarker.dispose();
+      }
+      markSessionsDirty();
+      return;
+    }
+    default:
+      return;
+  }
+}
+
+// 会话元数据：名称、颜色、标签、备注由用户通过 PATCH /api/sessions/:id 设置；
+// title 来自程序输出的窗口标题（OSC 0 / OSC 2，由虚拟终端解析）。变化时向终端推送 { type: 'meta' }。
+const SESSION_NAME_MAX_CHARS = 80;
+const SESSION_NOTES_MAX_CHARS = 2000;
+const SESSION_TAGS_MAX = 10;
+const SESSION_TAG_MAX_CHARS = 32;
+const SESSION_TITLE_MAX_CHARS = 200;
+const SESSION_COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Only the fields present in `input` are returned; '' / [] clear a field.
+function validateSessionMeta(input) {
+  const meta = {};
+  if (input?.name !== undefined) {
+    if (typeof input.name !== 'string') return { error: 'name must be a string' };
+    meta.name = input.name.trim().slice(0, SESSION_NAME_MAX_CHARS);
+  }
+  if (input?.color !== undefined) {
+    const color = typeof input.color === 'string' ? input.color.trim() : null;
+    if (color === null || (color && !SESSION_COLOR_RE.test(color))) return { error: 'color must be #rgb or #rrggbb' };
+    meta.color = color.toLowerCase();
+  }
+  if (input?.tags !== undefined) {
+    if (!Array.isArray(input.tags) || input.tags.some((t) => typeof t !== 'string')) return { error: 'tags must be an array of strings' };
+    const tags = Array.from(new Set(input.tags.map((t) => t.trim().slice(0, SESSION_TAG_MAX_CHARS)).filter(Boolean)));
+    if (tags.length > SESSION_TAGS_MAX) return { error: `at most ${SESSION_TAGS_MAX} tags` };
+    meta.tags = tags;
+  }
+  if (input?.notes !== undefined) {
+    if (typeof input.notes !== 'string') return { error: 'notes must be a string' };
+    meta.notes = input.notes.slice(0, SESSION_NOTES_MAX_CHARS);
+  }
+  return { meta };
+}
+
+// 快照中的名称/颜色/标签/备注逐项校验：某一项无效只丢弃该项
+function restoredSessionMeta(meta) {
+  const out = {};
+  for (const key of ['name', 'color', 'tags', 'notes']) {
+    if (meta[key] === undefined || meta[key] === null) continue;
+    const r = validateSessionMeta({ [key]: meta[key] });
+    if (r.meta) Object.assign(out, r.meta);
+  }
+  return out;
+}
+
+function sessionMeta(session) {
+  return {
+    name: session.name || '',
+    color: session.color || '',
+    tags: session.tags || [],
+    notes: session.notes || '',
+    title: session.title || '',
+  };
+}
+
+function broadcastSessionMeta(session) {
+  const notice = { type: 'meta', sessionId: session.id, ...sessionMeta(session) };
+  for (const sock of session.sockets) sendControl(sock, notice);
+}
+
+function installTitleTracking(session) {
+  session.vt.term.onTitleChange((title) => {
+    const next = String(title || '').slice(0, SESSION_TITLE_MAX_CHARS);
+    if (next === session.title) return;
+    session.title = next;
+    markSessionsDirty();
+    broadcastSessionMeta(session);
+  });
+}
+
+function installCommandTracking(session) {
+  session.commands = session.commands || [];
+  session.commandMarkers = new Map();
+  session.promptEnd = null;
+  session.runningCommand = null;
+  session.vt.term.parser.registerOscHandler(133, (data) => {
+    try {
+      handleOsc133(session, data);
+    } catch (e) {
+      console.error('解析命令标记失败:', e?.message || e);
+    }
+    return true;
+  });
+}
+
+function serializeCommand(rec) {
+  return {
+    id: rec.id,
+    command: rec.command,
+    cwd: rec.cwd,
+    startedAt: rec.startedAt,
+    endedAt: rec.endedAt,
+    exitCode: rec.exitCode,
+    durationMs: rec.durationMs,
+    output: rec.output,
+    outputTruncated: rec.outputTruncated,
+  };
+}
+
+// Position of a command relative to the end of the buffer: clients share the same line stream,
+// so `clientBuffer.length - 1 - lineFromEnd` is the same line in their own scrollback.
+function commandLineFromEnd(session, id) {
+  const marker = session.commandMarkers?.get(id);
+  if (!marker || marker.isDisposed) return null;
+  return session.vt.term.buffer.active.length - 1 - marker.line;
+}
+
+// 回滚搜索：history 是原始 PTY 输出，先去掉控制序列再按行匹配（只匹配单行内的内容）
+const SEARCH_QUERY_MAX_CHARS = 500;
+const SEARCH_MAX_CONTEXT = 10;
+const SEARCH_MAX_RESULTS = 500;
+// OSC / DCS·SOS·PM·APC / CSI / 其余 ESC 序列 / 除 \t \n \r 以外的 C0 控制字符
+const TERMINAL_CONTROL_RE =
+  /\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?|\x1b[PX^_][\s\S]*?(?:\x1b\\|$)|\x1b\[[0-?]*[ -/]*[@-~]|\x1b[ -/]*[0-~]|[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g;
+
+// Plain-text lines as they would roughly appear on screen: a bare \r (progress bars, spinners)
+// keeps only what was written after it.
+function terminalTextLines(text) {
+  return String(text || '')
+    .replace(TERMINAL_CONTROL_RE, '')
+    .split('\n')
+    .map((line) => {
+      const l = line.replace(/\r+$/, '');
+      const cr = l.lastIndexOf('\r');
+      return cr === -1 ? l : l.slice(cr + 1);
+    });
+}
+
+function parseSearchParams(query) {
+  const q = (query.q || '').toString();
+  if (!q) return { error: 'missing q' };
+  if (q.length > SEARCH_QUERY_MAX_CHARS) return { error: 'query too long' };
+  const flag = (v) => ['1', 'true'].includes(String(v || '').trim().toLowerCase());
+
+  let re;
+  try {
+    const source = flag(query.regex) ? q : q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    re = new RegExp(source, flag(query.ignoreCase) ? 'gi' : 'g');
+  } catch (e) {
+    return { error: `invalid regex: ${e?.message || e}` };
+  }
+  const context = Math.min(SEARCH_MAX_CONTEXT, Math.max(0, Number.parseInt((query.context ?? '').toString(), 10) || 2));
+  const limit = Math.min(SEARCH_MAX_RESULTS, Math.max(1, Number.parseInt((query.limit || '').toString(), 10) || 100));
+  return { re, context, limit };
+}
+
+// Newest hits first, so `limit` keeps the most recent ones. `line` / `column` are offsets into the
+// stripped history; `lineFromEnd` lets clients find the spot in their own scrollback.
+function searchSessionHistory(session, { re, context, limit }) {
+  const lines = terminalTextLines(session.history);
+  const matches = [];
+  let truncated = false;
+  for (let i = lines.length - 1; i >= 0 && !truncated; i--) {
+    const text = lines[i];
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      if (matches.length >= limit) {
+        truncated = true;
+        break;
+      }
+      matches.push({
+        line: i,
+        lineFromEnd: lines.length - 1 - i,
+        column: m.index,
+        length: m[0].length,
+        match: m[0],
+        text,
+        before: lines.slice(Math.max(0, i - context), i),
+        after: lines.slice(i + 1, i + 1 + context),
+      });
+      if (m[0].length === 0) re.lastIndex++;
+    }
+  }
+  return { matches, truncated, totalLines: lines.length };
+}
+
+// 导出会话记录：txt（去除控制序列）、html（保留 SGR 颜色/样式）、ansi（原始输出流）
+const EXPORT_FORMATS = {
+  txt: 'text/plain; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  ansi: 'text/plain; charset=utf-8',
+};
+// xterm 默认的 16 色
+const ANSI_PALETTE = [
+  '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+  '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff',
+];
+// SGR 单独捕获，其余控制序列丢弃；\r 与 \n 决定行的覆盖与结束
+const ANSI_TOKEN_RE = new RegExp(`\\x1b\\[([0-9;:]*)m|(${TERMINAL_CONTROL_RE.source})|(\\r)|(\\n)`, 'g');
+
+function xterm256Color(n) {
+  if (n < 16) return ANSI_PALETTE[n];
+  if (n < 232) {
+    const v = [0, 95, 135, 175, 215, 255];
+    const i = n - 16;
+    return `rgb(${v[Math.floor(i / 36)]},${v[Math.floor(i / 6) % 6]},${v[i % 6]})`;
+  }
+  const g = 8 + (n - 232) * 10;
+  return `rgb(${g},${g},${g})`;
+}
+
+function applySgr(state, paramText) {
+  const params = (paramText || '0').split(/[;:]/).map((p) => Number.parseInt(p, 10) || 0);
+  for (let i = 0; i < params.length; i++) {
+    const p = params[i];
+    if (p === 0) Object.assign(state, { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, inverse: false, strike: false });
+    else if (p === 1) state.bold = true;
+    else if (p === 2) state.dim = true;
+    else if (p === 3) state.italic = true;
+    else if (p === 4) state.underline = true;
+    else if (p === 7) state.inverse = true;
+    else if (p === 9) state.strike = true;
+    else if (p === 22) state.bold = state.dim = false;
+    else if (p === 23) state.italic = false;
+    else if (p === 24) state.underline = false;
+    else if (p === 27) state.inverse = false;
+    else if (p === 29) state.strike = false;
+    else if (p >= 30 && p <= 37) state.fg = ANSI_PALETTE[p - 30];
+    else if (p >= 90 && p <= 97) state.fg = ANSI_PALETTE[p - 90 + 8];
+    else if (p >= 40 && p <= 47) state.bg = ANSI_PALETTE[p - 40];
+    else if (p >= 100 && p <= 107) state.bg = ANSI_PALETTE[p - 100 + 8];
+    else if (p === 39) state.fg = null;
+    else if (p === 49) state.bg = null;
+    else if (p === 38 || p === 48) {
+      let color = null;
+      if (params[i + 1] === 5) {
+        color = xterm256Color(Math.min(255, params[i + 2] || 0));
+        i += 2;
+      } else if (params[i + 1] === 2) {
+        color = `rgb(${params[i + 2] || 0},${params[i + 3] || 0},${params[i + 4] || 0})`;
+        i += 4;
+      }
+      if (p === 38) state.fg = color;
+      else state.bg = color;
+    }
+  }
+}
+
+function sgrCss(state) {
+  let fg = state.fg;
+  let bg = state.bg;
+  if (state.inverse) [fg, bg] = [bg || '#0f1115', fg || '#e5e5e5'];
+  const css = [];
+  if (fg) css.push(`color:${fg}`);
+  if (bg) css.push(`background:${bg}`);
+  if (state.bold) css.push('font-weight:bold');
+  if (state.dim) css.push('opacity:0.7');
+  if (state.italic) css.push('font-style:italic');
+  const deco = [state.underline && 'underline', state.strike && 'line-through'].filter(Boolean);
+  if (deco.length) css.push(`text-decoration:${deco.join(' ')}`);
+  return css.join(';');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Same line semantics as terminalTextLines(): a bare \r restarts the line, SGR state carries over.
+function ansiToHtml(text, title) {
+  const state = { fg: null, bg: null };
+  applySgr(state, '0');
+  const lines = [];
+  let line = [];
+  let pendingCr = false;
+  const pushText = (t) => {
+    if (!t) return;
+    if (pendingCr) {
+      line = [];
+      pendingCr = false;
+    }
+    const css = sgrCss(state);
+    line.push(css ? `<span style="${css}">${escapeHtml(t)}</span>` : escapeHtml(t));
+  };
+
+  const src = String(text || '');
+  let last = 0;
+  ANSI_TOKEN_RE.lastIndex = 0;
+  let m;
+  while ((m = ANSI_TOKEN_RE.exec(src)) !== null) {
+    pushText(src.slice(last, m.index));
+    last = m.index + m[0].length;
+    if (m[1] !== undefined) applySgr(state, m[1]);
+    else if (m[3]) pendingCr = true;
+    else if (m[4]) {
+      lines.push(line.join(''));
+      line = [];
+      pendingCr = false;
+    }
+  }
+  pushText(src.slice(last));
+  lines.push(line.join(''));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>body{margin:0;background:#0f1115;color:#e5e5e5}pre{margin:0;padding:12px;font:13px/1.35 ui-monospace,Menlo,Consolas,"Liberation Mono",monospace;white-space:pre-wrap;word-break:break-all}</style>',
+    '</head><body><pre>',
+    lines.join('\n'),
+    '</pre></body></html>',
+    '',
+  ].join('\n');
+}
+
+function sessionExportBody(session, format) {
+  const history = session.history || '';
+  if (format === 'ansi') return history;
+  if (format === 'html') return ansiToHtml(history, session.name || session.title || `LAN-SHELL ${session.id}`);
+  return `${terminalTextLines(history).join('\n').replace(/\s+$/, '')}\n`;
+}
+
+function sessionExportFileName(session, format) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const base = (session.name || '').replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').trim() || session.id.slice(0, 8);
+  return `${base}-${stamp}.${format === 'ansi' ? 'ans' : format}`;
+}
+
+// /ws/pty 协议版本：
+// - v1（旧客户端，不带子协议）：控制消息与 PTY 数据混在文本帧里（RESIZE:/GET_SESSION_ID/SESSION_ID: ...）
+// - v2（子协议 lanshell.v2）：PTY 数据走二进制帧（双向），控制消息走 JSON 文本帧 { type, ... }，
+//   类型：hello / title / resize / ping / pong / exit / ended / dropped / viewers / process / error
+const WS_PROTOCOL_V2 = 'lanshell.v2';
+
+function wsProtocolVersion(ws) {
+  return ws.protocol === WS_PROTOCOL_V2 ? 2 : 1;
+}
+
+function sendPtyData(ws, data) {
+  if (ws.readyState !== 1) return;
+  if (wsProtocolVersion(ws) >= 2) ws.send(Buffer.from(data, 'utf8'), { binary: true });
+  else ws.send(data);
+}
+
+// v1 clients only understand the old in-band strings; messages without an equivalent are dropped.
+function legacyControlText(msg) {
+  switch (msg.type) {
+    case 'hello':
+      return msg.sessionId ? `SESSION_ID:${msg.sessionId}` : null;
+    case 'title':
+      return `\x1b]0;${msg.title}\x07`;
+    case 'exit':
+      return `SESSION_EXITED:${JSON.stringify({
+        id: msg.sessionId,
+        exitCode: msg.exitCode,
+        signal: msg.signal,
+        endedAt: msg.endedAt,
+      })}`;
+    case 'ended':
+      return `SESSION_ENDED:${msg.sessionId || ''}`;
+    case 'error':
+      if (msg.code === 'SESSION_LIMIT') return `SESSION_LIMIT:${msg.message}`;
+      return msg.code === 'SESSION_NOT_FOUND' || msg.code === 'SESSION_FORBIDDEN' ? `${msg.code}:${msg.sessionId}` : null;
+    default:
+      return null;
+  }
+}
+
+// Spectators never see the real session id: it is what an owner reconnects with. Group notices
+// list the ids of other sessions, so spectators do not get them at all.
+function spectatorControl(msg) {
+  if (msg.type === 'group') return null;
+  if (!('sessionId' in msg)) return msg;
+  const { sessionId, ...rest } = msg;
+  return rest;
+}
+
+function sendControl(ws, msg) {
+  if (ws.readyState !== 1) return;
+  if (ws.role === 'spectator') msg = spectatorControl(msg);
+  if (!msg) return;
+  try {
+    if (wsProtocolVersion(ws) >= 2) {
+      ws.send(JSON.stringify(msg));
+      return;
+    }
+    const text = legacyControlText(msg);
+    if (text !== null) ws.send(text);
+  } catch {}
+}
+
+function sendWsTextInChunks(ws, text, chunkSize = 16 * 1024) {
+  const s = String(text || '');
+  if (!s) return;
+  for (let i = 0; i < s.length; i += chunkSize) {
+    try {
+      sendPtyData(ws, s.slice(i, i + chunkSize));
+    } catch {
+      break;
+    }
+  }
+}
+
+function generateSessionId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// 会话持久化：定期把会话元数据 + 回放历史快照到 data/，服务重启后据此恢复。
+// - 托管进程里仍在运行的 shell：重新挂接（remote pty）
+// - 已无法恢复的会话：以只读“已结束”会话的形式恢复，保留历史输出
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const SESSION_HOST_SOCKET = process.env.SESSION_HOST_SOCKET || path.join(DATA_DIR, 'session-host.sock');
+const SESSION_SNAPSHOT_INTERVAL_MS = 5000;
+
+let sessionsDirty = false;
+
+function markSessionsDirty() {
+  sessionsDirty = true;
+}
+
+function serializeSession(session) {
+  return {
+    id: session.id,
+    profile: session.profile || DEFAULT_PROFILE.id,
+    shellPath: session.shellPath || DEFAULT_PROFILE.shell,
+    term: session.term || DEFAULT_PROFILE.term,
+    limits: session.limits || {},
+    cwd: session.cwd,
+    cols: session.cols,
+    rows: session.rows,
+    clientId: session.clientId || '',
+    ...sessionMeta(session),
+    created: session.created,
+    lastActivity: session.lastActivity,
+    ended: Boolean(session.ended),
+    endedAt: session.endedAt || null,
+    exitCode: session.exitCode ?? null,
+    signal: session.signal ?? null,
+    recording: session.recording ? { file: session.recording.file, startedAt: session.recording.startedAt } : null,
+    spectators: Array.from(session.spectators?.values() || []),
+    commands: (session.commands || []).map(serializeCommand),
+    watchRules: (session.watchRules || []).map(serializeWatchRule),
+    history: session.history || '',
+    screen: session.vt ? serializeVirtualTerminal(session.vt) : '',
+  };
+}
+
+function readSessionSnapshot() {
+  try {
+    if (!fs.existsSync(SESSIONS_FILE)) return [];
+    const parsed = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+    if (!parsed || !Array.isArray(parsed.sessions)) return [];
+    return parsed.sessions.filter((s) => s && typeof s.id === 'string' && /^[0-9a-f]{32}$/.test(s.id));
+  } catch (e) {
+    console.error('读取会话快照失败，将忽略:', e?.message || e);
+    return [];
+  }
+}
+
+function writeSessionSnapshot() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const data = {
+      version: 1,
+      savedAt: new Date().toISOString(),
+      sessions: Array.from(terminalSessions.values()).map(serializeSession),
+    };
+    const tmp = `${SESSIONS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data), 'utf8');
+    fs.renameSync(tmp, SESSIONS_FILE);
+    sessionsDirty = false;
+  } catch (e) {
+    console.error('写入会话快照失败:', e?.message || e);
+  }
+}
+
+// 会话分组（同步输入）：开启 sync 的分组里，任一成员终端收到的键盘输入会同时写入其他成员，
+// 便于在多个 shell（例如不同的项目 checkout）里同时执行同一条命令。一个会话只能属于一个分组。
+// 分组保存在 data/session-groups.json；成员变化时向相关终端推送 { type: 'group' }。
+const SESSION_GROUPS_FILE = path.join(DATA_DIR, 'session-groups.json');
+const sessionGroups = new Map(); // id -> { id, name, sessionIds, sync, created }
+
+function serializeSessionGroup(group) {
+  return { id: group.id, name: group.name, sessionIds: group.sessionIds.slice(), sync: group.sync, created: group.created };
+}
+
+function writeSessionGroups() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const data = { version: 1, updatedAt: new Date().toISOString(), groups: Array.from(sessionGroups.values()).map(serializeSessionGroup) };
+  const tmp = `${SESSION_GROUPS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmp, SESSION_GROUPS_FILE);
+}
+
+// Called after sessions are restored: members that no longer exist are dropped.
+function loadSessionGroups() {
+  try {
+    if (!fs.existsSync(SESSION_GROUPS_FILE)) return;
+    const parsed = JSON.parse(fs.readFileSync(SESSION_GROUPS_FILE, 'utf8'));
+    for (const g of Array.isArray(parsed?.groups) ? parsed.groups : []) {
+      if (!g || typeof g.id !== 'string') continue;
+      const sessionIds = (Array.isArray(g.sessionIds) ? g.sessionIds : []).filter((id) => terminalSessions.has(id));
+      if (!sessionIds.length) continue;
+      sessionGroups.set(g.id, { id: g.id, name: String(g.name || ''), sessionIds, sync: g.sync !== false, created: g.created || new Date() });
+    }
+  } catch (e) {
+    console.error('读取会话分组失败，将忽略:', e?.message || e);
+  }
+}
+
+function findSessionGroup(sessionId) {
+  for (const group of sessionGroups.values()) {
+    if (group.sessionIds.includes(sessionId)) return group;
+  }
+  return null;
+}
+
+function sessionGroupNotice(sessionId) {
+  const group = findSessionGroup(sessionId);
+  return { type: 'group', sessionId, group: group ? serializeSessionGroup(group) : null };
+}
+
+function notifySessionGroupChange(sessionIds) {
+  for (const id of new Set(sessionIds)) {
+    const session = terminalSessions.get(id);
+    if (!session) continue;
+    const notice = sessionGroupNotice(id);
+    for (const sock of session.sockets) sendControl(sock, notice);
+  }
+}
+
+// Validates `{ name, sessionIds, sync }` for a create (existing = null) or a full update.
+function validateSessionGroup(input, existing = null) {
+  const name = typeof input?.name === 'string' ? input.name.trim().slice(0, 80) : (existing?.name ?? '');
+  const ids = input?.sessionIds === undefined && existing ? existing.sessionIds : input?.sessionIds;
+  if (!Array.isArray(ids) || !ids.length) return { error: 'sessionIds must be a non-empty array' };
+  const sessionIds = Array.from(new Set(ids.map(String)));
+  for (const id of sessionIds) {
+    if (!terminalSessions.has(id)) return { error: `session not found: ${id}`, status: 404 };
+    const other = findSessionGroup(id);
+    if (other && other !== existing) return { error: `session ${id} already belongs to group ${other.name || other.id}`, status: 409 };
+  }
+  const sync = typeof input?.sync === 'boolean' ? input.sync : (existing ? existing.sync : true);
+  return { group: { name, sessionIds, sync } };
+}
+
+function removeSessionFromGroups(sessionId) {
+  const group = findSessionGroup(sessionId);
+  if (!group) return;
+  group.sessionIds = group.sessionIds.filter((id) => id !== sessionId);
+  if (!group.sessionIds.length) sessionGroups.delete(group.id);
+  try {
+    writeSessionGroups();
+  } catch (e) {
+    console.error('写入会话分组失败:', e?.message || e);
+  }
+  notifySessionGroupChange(group.sessionIds);
+}
+
+// 会话数量上限：返回拒绝原因，未超限时返回 null
+// 只统计运行中的会话：已退出/已结束的只读会话不占名额
+function runningSessionCount(clientId = null) {
+  let n = 0;
+  for (const s of terminalSessions.values()) {
+    if (!s.ended && (clientId === null || (s.clientId || '') === clientId)) n += 1;
+  }
+  return n;
+}
+
+function sessionCapError(clientId) {
+  if (MAX_SESSIONS && runningSessionCount() >= MAX_SESSIONS) {
+    return `已达到会话总数上限（${MAX_SESSIONS}），请先关闭不用的终端`;
+  }
+  if (MAX_SESSIONS_PER_CLIENT) {
+    const own = runningSessionCount(clientId);
+    if (own >= MAX_SESSIONS_PER_CLIENT) return `已达到单个客户端的会话上限（${MAX_SESSIONS_PER_CLIENT}），请先关闭不用的终端`;
+  }
+  return null;
+}
+
+function totalHistoryChars() {
+  let total = 0;
+  for (const s of terminalSessions.values()) total += (s.history || '').length;
+  return total;
+}
+
+// Keep the sum of all replay histories under MAX_HISTORY_TOTAL_CHARS: ended sessions first, then the
+// least recently active ones, are trimmed to half until the total fits.
+function enforceHistoryBudget() {
+  if (!MAX_HISTORY_TOTAL_CHARS) return;
+  let total = totalHistoryChars();
+  if (total <= MAX_HISTORY_TOTAL_CHARS) return;
+  const order = Array.from(terminalSessions.values()).sort(
+    (a, b) => Number(b.ended) - Number(a.ended) || a.lastActivity - b.lastActivity
+  );
+  for (let pass = 0; pass < 8 && total > MAX_HISTORY_TOTAL_CHARS; pass++) {
+    for (const s of order) {
+      const before = (s.history || '').length;
+      if (before < 1024) continue;
+      s.history = trimHistoryForReplay(s.history, Math.floor(before / 2));
+      total -= before - s.history.length;
+      // 持续大量输出时每个快照周期都会截短，只在每个会话第一次被截短时记一行日志
+      if (!s.historyBudgetTrimmed) {
+        s.historyBudgetTrimmed = true;
+        console.log(`✂️ 回放历史总量超出上限，开始截短会话 ${s.id} 的历史`);
+      }
+      if (total <= MAX_HISTORY_TOTAL_CHARS) break;
+    }
+  }
+  markSessionsDirty();
+}
+
+// Session host client (newline-delimited JSON over a unix socket, see session-host.js)
+let hostConn = null;
+let hostListWaiters = [];
+const remotePtys = new Map(); // id -> remote pty
+
+function hostSend(msg) {
+  if (!hostConn || hostConn.destroyed) return false;
+  try {
+    hostConn.write(`${JSON.stringify(msg)}\n`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function handleHostMessage(msg) {
+  if (!msg || typeof msg !== 'object') return;
+  const rp = msg.id ? remotePtys.get(msg.id) : null;
+  switch (msg.op) {
+    case 'spawned':
+      if (rp) rp.pid = msg.pid;
+      break;
+    case 'data':
+      if (rp) rp._emitData(String(msg.data ?? ''));
+      break;
+    case 'exit':
+      if (rp) rp._emitExit({ exitCode: msg.exitCode, signal: msg.signal });
+      break;
+    case 'list': {
+      const waiters = hostListWaiters;
+      hostListWaiters = [];
+      waiters.forEach((fn) => fn(Array.isArray(msg.sessions) ? msg.sessions : []));
+      break;
+    }
+    case 'error':
+      console.error(`会话托管进程错误 (${msg.id || '-'}):`, msg.error);
+      if (rp && !rp.pid) rp._emitExit({ exitCode: null, signal: null });
+      break;
+    default:
+      break;
+  }
+}
+
+function createRemotePty(id, pid = null) {
+  const dataListeners = new Set();
+  const exitListeners = new Set();
+  const rp = {
+    id,
+    pid,
+    exited: false,
+    write(data) {
+      hostSend({ op: 'write', id, data });
+    },
+    resize(cols, rows) {
+      hostSend({ op: 'resize', id, cols, rows });
+    },
+    kill(signal) {
+      hostSend({ op: 'kill', id, signal });
+    },
+    pause() {
+      hostSend({ op: 'pause', id });
+    },
+    resume() {
+      hostSend({ op: 'resume', id });
+    },
+    onData(fn) {
+      dataListeners.add(fn);
+      return { dispose: () => dataListeners.delete(fn) };
+    },
+    onExit(fn) {
+      exitListeners.add(fn);
+      return { dispose: () => exitListeners.delete(fn) };
+    },
+    _emitData(data) {
+      dataListeners.forEach((fn) => fn(data));
+    },
+    _emitExit(e) {
+      if (rp.exited) return;
+      rp.exited = true;
+      remotePtys.delete(id);
+      exitListeners.forEach((fn) => fn(e));
+    },
+  };
+  remotePtys.set(id, rp);
+  return rp;
+}
+
+function tryConnectHost() {
+  return new Promise((resolve) => {
+    const sock = net.connect(SESSION_HOST_SOCKET);
+    sock.once('connect', () => resolve(sock));
+    sock.once('error', () => resolve(null));
+  });
+}
+
+async function connectSessionHost() {
+  let sock = await tryConnectHost();
+  if (!sock) {
+    // 托管进程不存在：以 detached 方式启动，服务退出后它继续持有 shell
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const child = spawn(process.execPath, [path.join(__dirname, 'session-host.js'), SESSION_HOST_SOCKET], {
+        cwd: __dirname,
+        detached: true,
+        stdio: 'ignore',
+        env: { ...process.env, HISTORY_MAX_CHARS: String(HISTORY_MAX_CHARS) },
+      });
+      child.unref();
+    } catch (e) {
+      console.error('启动会话托管进程失败:', e?.message || e);
+      return false;
+    }
+    for (let i = 0; i < 30 && !sock; i += 1) {
+      await new Promise((r) => setTimeout(r, 100));
+      sock = await tryConnectHost();
+    }
+  }
+  if (!sock) return false;
+
+  hostConn = sock;
+  sock.setEncoding('utf8');
+  let buf = '';
+  sock.on('data', (chunk) => {
+    buf += chunk;
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, nl);
+      buf = buf.slice(nl + 1);
+      if (!line.trim()) continue;
+      try {
+        handleHostMessage(JSON.parse(line));
+      } catch (e) {
+        console.error('解析会话托管消息失败:', e?.message || e);
+      }
+    }
+  });
+  sock.on('error', () => {});
+  sock.on('close', () => {
+    if (hostConn !== sock) return;
+    hostConn = null;
+    console.error('⚠️ 会话托管进程连接已断开，托管中的会话已无法继续');
+    // 没有退出码：这些会话会变成只读的“已结束”会话，而不是“已退出”
+    for (const rp of Array.from(remotePtys.values())) rp._emitExit({ exitCode: null, signal: null });
+    const waiters = hostListWaiters;
+    hostListWaiters = [];
+    waiters.forEach((fn) => fn([]));
+  });
+  return true;
+}
+
+function listHostSessions() {
+  return new Promise((resolve) => {
+    if (!hostSend({ op: 'list' })) return resolve([]);
+    hostListWaiters.push(resolve);
+  });
+}
+
+// Spawn a shell: inside the session host when available, otherwise in-process.
+function spawnSessionShell(id, file, args, options) {
+  if (hostConn) {
+    const rp = createRemotePty(id);
+    hostSend({ op: 'spawn', id, file, args, options: { ...options, env: options.env || process.env } });
+    return rp;
+  }
+  return pty.spawn(file, args, options);
+}
+
+// Flow control between the PTY and attached sockets.
+// - A socket whose bufferedAmount is above the high-water mark is "saturated".
+// - Saturated (slow) viewers get output queued and coalesced: once the queue exceeds
+//   WS_COALESCE_MAX_CHARS the oldest output is dropped, so they catch up with the latest screen.
+// - Fast viewers keep receiving output live.
+// - When every attached socket is saturated the PTY is paused (the program blocks on write),
+//   and resumed as soon as one of them drains below the low-water mark.
+const FLOW_CHECK_INTERVAL_MS = 50;
+
+function createSessionStats() {
+  return {
+    bytesIn: 0,
+    bytesOut: 0,
+    droppedChars: 0,
+    pauses: 0,
+    pausedMs: 0,
+    pausedSince: null,
+    rateWindowStart: Date.now(),
+    rateWindowBytes: 0,
+    outRate: 0,
+  };
+}
+
+function noteSessionOutput(session, data) {
+  const stats = session.stats;
+  const bytes = Buffer.byteLength(data, 'utf8');
+  const now = Date.now();
+  stats.bytesOut += bytes;
+  stats.rateWindowBytes += bytes;
+  const elapsed = now - stats.rateWindowStart;
+  if (elapsed >= 1000) {
+    stats.outRate = Math.round((stats.rateWindowBytes * 1000) / elapsed);
+    stats.rateWindowStart = now;
+    stats.rateWindowBytes = 0;
+  }
+}
+
+function sessionThroughput(session) {
+  const stats = session.stats;
+  const now = Date.now();
+  const sockets = Array.from(session.sockets || []);
+  return {
+    bytesIn: stats.bytesIn,
+    bytesOut: stats.bytesOut,
+    // 超过两个统计窗口没有输出，视为当前速率为 0
+    outBytesPerSec: now - stats.rateWindowStart > 2000 ? 0 : stats.outRate,
+    droppedChars: stats.droppedChars,
+    paused: Boolean(session.flowPaused),
+    pauses: stats.pauses,
+    pausedMs: stats.pausedMs + (stats.pausedSince ? now - stats.pausedSince : 0),
+    viewers: sockets.length,
+    slowViewers: sockets.filter((ws) => ws.flowPending || ws.bufferedAmount > WS_HIGH_WATER_BYTES).length,
+  };
+}
+
+function deliverPtyData(session, ws, data) {
+  if (ws.readyState !== 1) return;
+  if (!ws.flowPending && !ws.awaitingSnapshot && ws.bufferedAmount <= WS_HIGH_WATER_BYTES) {
+    sendPtyData(ws, data);
+    return;
+  }
+  const queued = (ws.flowPending || '') + data;
+  ws.flowPending = trimHistoryForReplay(queued, WS_COALESCE_MAX_CHARS);
+  const dropped = queued.length - ws.flowPending.length;
+  if (dropped > 0) {
+    ws.flowDropped = (ws.flowDropped || 0) + dropped;
+    session.stats.droppedChars += dropped;
+  }
+}
+
+function flushSlowViewer(ws) {
+  if (!ws.flowPending || ws.awaitingSnapshot || ws.readyState !== 1 || ws.bufferedAmount > WS_LOW_WATER_BYTES) return;
+  if (ws.flowDropped) {
+    sendControl(ws, { type: 'dropped', chars: ws.flowDropped });
+    ws.flowDropped = 0;
+  }
+  const data = ws.flowPending;
+  ws.flowPending = '';
+  sendPtyData(ws, data);
+}
+
+function setSessionPaused(session, paused) {
+  if (Boolean(session.flowPaused) === paused) return;
+  session.flowPaused = paused;
+  const stats = session.stats;
+  if (paused) {
+    stats.pauses += 1;
+    stats.pausedSince = Date.now();
+  } else if (stats.pausedSince) {
+    stats.pausedMs += Date.now() - stats.pausedSince;
+    stats.pausedSince = null;
+  }
+  try {
+    if (paused) session.shell?.pause?.();
+    else session.shell?.resume?.();
+  } catch {}
+}
+
+function updateSessionFlow(session) {
+  const open = Array.from(session.sockets || []).filter((ws) => ws.readyState === 1);
+  open.forEach(flushSlowViewer);
+
+  // 没有客户端时不暂停：输出继续进入回放历史，重连后可见
+  const saturated = open.length > 0 && open.every((ws) => ws.bufferedAmount > WS_HIGH_WATER_BYTES);
+  const drained = open.length === 0 || open.some((ws) => ws.bufferedAmount <= WS_LOW_WATER_BYTES);
+  if (saturated) setSessionPaused(session, true);
+  else if (drained) setSessionPaused(session, false);
+
+  // 仍有积压或处于暂停状态时轮询发送缓冲（ws 没有针对 bufferedAmount 的事件）
+  const busy = session.flowPaused || open.some((ws) => ws.flowPending);
+  if (busy && !session.flowTimer) {
+    session.flowTimer = setInterval(() => updateSessionFlow(session), FLOW_CHECK_INTERVAL_MS);
+  } else if (!busy && session.flowTimer) {
+    clearInterval(session.flowTimer);
+    session.flowTimer = null;
+  }
+}
+
+// Wire PTY output of a live session into its replay history and attached sockets.
+function bindSessionShell(session) {
+  session.shell.onData((data) => {
+    // 仅用于刷新后的回放：保留足够长的输出，并避免 clear 等操作把回滚区“清零”
+    session.history = trimHistoryForReplay((session.history || '') + filterHistoryForReplay(data));
+    session.lastActivity = new Date();
+    markSessionsDirty();
+    recordSessionEvent(session, 'o', data);
+    noteSessionOutput(session, data);
+    session.vt?.term.write(data);
+    checkWatchRulesOutput(session, data);
+    const reportedCwd = parseOsc7Cwd(data);
+    if (reportedCwd) updateSessionProcessInfo(session, { cwd: reportedCwd });
+
+    for (const sock of session.sockets) {
+      deliverPtyData(session, sock, data);
+    }
+    updateSessionFlow(session);
+  });
+  session.shell.onExit((e) => handleSessionExit(session, e || {}));
+}
+
+function sessionFromSnapshot(meta) {
+  const toDate = (v) => {
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? new Date() : d;
+  };
+  const session = {
+    id: meta.id,
+    shell: null,
+    profile: typeof meta.profile === 'string' ? meta.profile : DEFAULT_PROFILE.id,
+    shellPath: typeof meta.shellPath === 'string' ? meta.shellPath : DEFAULT_PROFILE.shell,
+    term: typeof meta.term === 'string' ? meta.term : DEFAULT_PROFILE.term,
+    limits: validateSessionLimits(meta.limits || {}).limits || {},
+    cwd: typeof meta.cwd === 'string' ? meta.cwd : ROOT,
+    foreground: null,
+    cols: Number.parseInt(meta.cols, 10) || 80,
+    rows: Number.parseInt(meta.rows, 10) || 24,
+    clientId: typeof meta.clientId === 'string' ? meta.clientId : '',
+    ...restoredSessionMeta(meta),
+    title: typeof meta.title === 'string' ? meta.title.slice(0, SESSION_TITLE_MAX_CHARS) : '',
+    created: toDate(meta.created),
+    lastActivity: toDate(meta.lastActivity),
+    ended: Boolean(meta.ended),
+    endedAt: meta.endedAt ? toDate(meta.endedAt) : null,
+    exitCode: Number.isInteger(meta.exitCode) ? meta.exitCode : null,
+    signal: meta.signal || null,
+    history: trimHistoryForReplay(typeof meta.history === 'string' ? meta.history : ''),
+    vt: null,
+    sockets: new Set(),
+    spectators: new Map(
+      (Array.isArray(meta.spectators) ? meta.spectators : [])
+        .filter((sp) => sp && typeof sp.token === 'string' && sp.token)
+        .map((sp) => [sp.token, { token: sp.token, label: String(sp.label || ''), created: toDate(sp.created) }])
+    ),
+    watchRules: restoreWatchRules(meta.watchRules),
+    lastOutputAt: null,
+    stats: createSessionStats(),
+    flowPaused: false,
+    flowTimer: null,
+  };
+  // 旧快照没有 screen 字段：用原始历史重建虚拟终端
+  const screen = typeof meta.screen === 'string' && meta.screen ? meta.screen : session.history;
+  session.vt = createVirtualTerminal(session.cols, session.rows, screen);
+  // 恢复的命令没有行号标记；等重建的屏幕解析完再开始跟踪，避免把旧输出里的标记当成新命令
+  session.commands = (Array.isArray(meta.commands) ? meta.commands : [])
+    .filter((c) => c && Number.isInteger(c.id))
+    .map((c) => ({
+      ...serializeCommand(c),
+      startedAt: toDate(c.startedAt),
+      endedAt: c.endedAt ? toDate(c.endedAt) : null,
+    }));
+  session.commandSeq = session.commands.reduce((max, c) => Math.max(max, c.id), 0);
+  session.vt.term.write('', () => {
+    installCommandTracking(session);
+    installTitleTracking(session);
+  });
+  return session;
+}
+
+function markSessionEnded(session) {
+  session.ended = true;
+  session.endedAt = session.endedAt || new Date();
+  session.shell = null;
+}
+
+function sessionStatus(session) {
+  if (!session.ended) return 'running';
+  const hasExitInfo = (session.exitCode !== null && session.exitCode !== undefined) || Boolean(session.signal);
+  return hasExitInfo ? 'exited' : 'ended';
+}
+
+// Control message telling clients the session no longer accepts input.
+// - exit: the shell exited on its own (exit code/signal known)
+// - ended: the shell could not be revived (e.g. lost across a restart)
+function sessionEndNotice(session) {
+  if (sessionStatus(session) === 'exited') {
+    return {
+      type: 'exit',
+      sessionId: session.id,
+      exitCode: session.exitCode ?? null,
+      signal: session.signal ?? null,
+      endedAt: session.endedAt,
+    };
+  }
+  return { type: 'ended', sessionId: session.id };
+}
+
+function removeSession(id) {
+  const session = terminalSessions.get(id);
+  if (!session) return;
+  if (session.removeTimer) clearTimeout(session.removeTimer);
+  if (session.flowTimer) clearInterval(session.flowTimer);
+  stopSessionRecording(session);
+  try {
+    session.vt?.term.dispose();
+  } catch {}
+  for (const sock of session.sockets || []) {
+    try {
+      sock.close();
+    } catch {}
+  }
+  try {
+    session.shell?.kill();
+  } catch {}
+  terminalSessions.delete(id);
+  removeSessionFromGroups(id);
+  markSessionsDirty();
+}
+
+// 只读观看链接：会话 owner 生成 token，持有 token 的客户端以 spectator 身份挂到会话上，
+// 只能看输出（含重连快照），不能输入、也不能改变终端尺寸。每个 socket 带 role：owner / spectator。
+function generateSpectatorToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function findSessionBySpectatorToken(token) {
+  if (!token) return null;
+  for (const session of terminalSessions.values()) {
+    if (session.spectators?.has(token)) return session;
+  }
+  return null;
+}
+
+function sessionWatchers(session) {
+  return Array.from(session.sockets || [])
+    .filter((ws) => ws.role === 'spectator')
+    .map((ws) => ({
+      token: ws.spectatorToken,
+      label: session.spectators.get(ws.spectatorToken)?.label || '',
+      address: ws.viewer?.address || '',
+      userAgent: ws.viewer?.userAgent || '',
+      connectedAt: ws.viewer?.connectedAt || null,
+    }));
+}
+
+// Owners see who is watching; spectators only get the counts.
+function broadcastViewers(session) {
+  const watchers = sessionWatchers(session);
+  const owners = Array.from(session.sockets || []).filter((ws) => ws.role !== 'spectator').length;
+  for (const ws of session.sockets || []) {
+    const msg = { type: 'viewers', owners, spectators: watchers.length };
+    if (ws.role !== 'spectator') msg.watchers = watchers;
+    sendControl(ws, msg);
+  }
+}
+
+function revokeSpectatorToken(session, token) {
+  if (!session.spectators.delete(token)) return -1;
+  let closed = 0;
+  for (const ws of Array.from(session.sockets)) {
+    if (ws.role !== 'spectator' || ws.spectatorToken !== token) continue;
+    sendControl(ws, { type: 'error', code: 'SPECTATOR_REVOKED', message: 'spectator link revoked' });
+    try {
+      ws.close(1008, 'SPECTATOR_REVOKED');
+    } catch {}
+    session.sockets.delete(ws);
+    closed += 1;
+  }
+  markSessionsDirty();
+  broadcastViewers(session);
+  return closed;
+}
+
+function scheduleExitedSessionRemoval(session) {
+  if (sessionStatus(session) !== 'exited' || SESSION_EXIT_GRACE_MS < 0) return;
+  if (session.removeTimer) clearTimeout(session.removeTimer);
+  const elapsed = Date.now() - new Date(session.endedAt || Date.now()).getTime();
+  const delay = Math.max(0, SESSION_EXIT_GRACE_MS - elapsed);
+  session.removeTimer = setTimeout(() => {
+    if (terminalSessions.get(session.id) !== session) return;
+    console.log(`🗑️ 移除已退出会话: ${session.id}`);
+    removeSession(session.id);
+  }, delay);
+  session.removeTimer.unref?.();
+}
+
+function handleSessionExit(session, { exitCode = null, signal = null } = {}) {
+  if (session.ended) return;
+  markSessionEnded(session);
+  stopSessionRecording(session);
+  session.exitCode = Number.isInteger(exitCode) ? exitCode : null;
+  // node-pty 在无信号时给出 0
+  session.signal = signal || null;
+  markSessionsDirty();
+  console.log(`🏁 会话 shell 已退出: ${session.id} (code=${session.exitCode}, signal=${session.signal})`);
+
+  const notice = sessionEndNotice(session);
+  for (const sock of session.sockets) sendControl(sock, notice);
+  checkWatchRulesExit(session);
+  scheduleExitedSessionRemoval(session);
+}
+
+// 输出监视规则：在服务端的输出管道里判断，浏览器标签页不在前台（甚至没打开这个终端）也会触发；
+// 触发后经 /api/notifications/stream（SSE）推送给所有已连接的浏览器。
+// - regex：去掉控制序列后的输出匹配正则（保留上一块输出的末尾，跨块的匹配也能命中）
+// - exit：shell 退出
+// - idle：连续 N 秒没有输出（每段空闲只触发一次）
+const WATCH_RULE_TYPES = ['regex', 'exit', 'idle'];
+const WATCH_RULES_MAX = 20;
+const WATCH_REGEX_TAIL_CHARS = 256;
+// 被拆在两块输出之间的控制序列最多暂存这么多字符，更长的（异常数据）直接按普通文本处理
+const WATCH_CONTROL_CARRY_CHARS = 4096;
+const WATCH_REGEX_COOLDOWN_MS = 5000;
+const WATCH_IDLE_CHECK_INTERVAL_MS = 1000;
+const NOTIFICATIONS_MAX = 100;
+const NOTIFICATION_HEARTBEAT_MS = 25 * 1000;
+
+const notificationClients = new Set(); // SSE responses of /api/notifications/stream
+const recentNotifications = [];
+// 以启动时间为起点：服务重启后浏览器带着旧的 Last-Event-ID 重连也不会漏掉新通知
+let notificationSeq = Date.now();
+
+function validateWatchRule(input) {
+  const type = String(input?.type || '');
+  if (!WATCH_RULE_TYPES.includes(type)) return { error: `type must be one of: ${WATCH_RULE_TYPES.join(', ')}` };
+  const rule = {
+    id: crypto.randomBytes(6).toString('hex'),
+    type,
+    label: typeof input.label === 'string' ? input.label.trim().slice(0, 80) : '',
+    once: Boolean(input.once),
+    created: new Date(),
+    fired: 0,
+    lastFiredAt: null,
+  };
+  if (type === 'regex') {
+    const pattern = typeof input.pattern === 'string' ? input.pattern : '';
+    if (!pattern || pattern.length > SEARCH_QUERY_MAX_CHARS) return { error: 'invalid pattern' };
+    rule.pattern = pattern;
+    rule.ignoreCase = Boolean(input.ignoreCase);
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      return { error: `invalid regex: ${e?.message || e}` };
+    }
+  } else if (type === 'idle') {
+    const seconds = Number(input.seconds);
+    if (!Number.isFinite(seconds) || seconds < 5 || seconds > 86400) return { error: 'seconds must be between 5 and 86400' };
+    rule.seconds = Math.round(seconds);
+  }
+  return { rule };
+}
+
+function serializeWatchRule(rule) {
+  const out = {
+    id: rule.id,
+    type: rule.type,
+    label: rule.label,
+    once: rule.once,
+    created: rule.created,
+    fired: rule.fired,
+    lastFiredAt: rule.lastFiredAt,
+  };
+  if (rule.type === 'regex') Object.assign(out, { pattern: rule.pattern, ignoreCase: rule.ignoreCase });
+  if (rule.type === 'idle') out.seconds = rule.seconds;
+  return out;
+}
+
+function restoreWatchRules(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((saved) => {
+      const { rule } = validateWatchRule(saved);
+      if (!rule || typeof saved.id !== 'string') return null;
+      const created = new Date(saved.created);
+      const lastFiredAt = saved.lastFiredAt ? new Date(saved.lastFiredAt) : null;
+      return {
+        ...rule,
+        id: saved.id,
+        created: Number.isNaN(created.getTime()) ? new Date() : created,
+        fired: Number.isInteger(saved.fired) ? saved.fired : 0,
+        lastFiredAt: lastFiredAt && !Number.isNaN(lastFiredAt.getTime()) ? lastFiredAt : null,
+        idleArmedAt: Date.now(),
+      };
+    })
+    .filter(Boolean);
+}
+
+function notificationEvent(notification) {
+  return `id:${notification.id}\nevent:notify\ndata:${JSON.stringify(notification)}\n\n`;
+}
+
+function publishNotification(fields) {
+  const notification = { id: ++notificationSeq, at: new Date(), ...fields };
+  recentNotifications.push(notification);
+  if (recentNotifications.length > NOTIFICATIONS_MAX) recentNotifications.shift();
+  const payload = notificationEvent(notification);
+  for (const res of notificationClients) {
+    try {
+      res.write(payload);
+    } catch {}
+  }
+  return notification;
+}
+
+function watchRuleTitle(rule) {
+  if (rule.label) return rule.label;
+  if (rule.type === 'regex') return `输出匹配 /${rule.pattern}/`;
+  if (rule.type === 'idle') return `${rule.seconds} 秒无输出`;
+  return 'Shell 已退出';
+}
+
+function fireWatchRule(session, rule, body) {
+  rule.fired += 1;
+  rule.lastFiredAt = new Date();
+  if (rule.once) session.watchRules = session.watchRules.filter((r) => r !== rule);
+  markSessionsDirty();
+  publishNotification({
+    sessionId: session.id,
+    ruleId: rule.id,
+    ruleType: rule.type,
+    title: watchRuleTitle(rule),
+    body,
+    cwd: session.cwd,
+  });
+}
+
+// 块末尾还没写完的控制序列（ESC 后缺少结束字符）的起点；没有时返回 -1
+function unfinishedControlStart(text) {
+  const i = text.lastIndexOf('\x1b');
+  if (i === -1 || text.length - i > WATCH_CONTROL_CARRY_CHARS) return -1;
+  const rest = text.slice(i + 1);
+  if (!rest) return i;
+  if (rest[0] === ']') return rest.includes('\x07') ? -1 : i;
+  if ('PX^_'.includes(rest[0])) return i;
+  if (rest[0] === '[') return /^\[[0-?]*[ -/]*[@-~]/.test(rest) ? -1 : i;
+  return /^[ -/]*[0-~]/.test(rest) ? -1 : i;
+}
+
+function checkWatchRulesOutput(session, data) {
+  const now = Date.now();
+  session.lastOutputAt = now;
+  const rules = session.watchRules || [];
+  for (const rule of rules) {
+    if (rule.type === 'idle') rule.idleArmedAt = now;
+  }
+  if (!rules.some((r) => r.type === 'regex')) return;
+
+  // 没写完的控制序列留到下一块再一起去掉，免得序列的后半段混进匹配文本
+  let raw = (session.watchCarry || '') + data;
+  const cut = unfinishedControlStart(raw);
+  session.watchCarry = cut === -1 ? '' : raw.slice(cut);
+  if (cut !== -1) raw = raw.slice(0, cut);
+
+  const tail = session.watchTail || '';
+  const text = tail + terminalTextLines(raw).join('\n');
+  session.watchTail = text.slice(-WATCH_REGEX_TAIL_CHARS);
+  for (const rule of rules.slice()) {
+    if (rule.type !== 'regex') continue;
+    if (rule.lastFiredAt && now - rule.lastFiredAt.getTime() < WATCH_REGEX_COOLDOWN_MS) continue;
+    rule.re = rule.re || new RegExp(rule.pattern, rule.ignoreCase ? 'gi' : 'g');
+    rule.re.lastIndex = 0;
+    let m;
+    while ((m = rule.re.exec(text)) !== null) {
+      // 完全落在尾巴里的匹配上一次已经判断过
+      if (m.index + m[0].length > tail.length) break;
+      if (m[0].length === 0) rule.re.lastIndex++;
+    }
+    if (!m) continue;
+    const start = text.lastIndexOf('\n', m.index) + 1;
+    const end = text.indexOf('\n', m.index + m[0].length);
+    fireWatchRule(session, rule, text.slice(start, end === -1 ? text.length : end).trim().slice(0, 200));
+  }
+}
+
+function checkWatchRulesExit(session) {
+  const status = session.signal ? `signal ${session.signal}` : `exit code ${session.exitCode ?? '?'}`;
+  for (const rule of (session.watchRules || []).slice()) {
+    if (rule.type === 'exit') fireWatchRule(session, rule, status);
+  }
+}
+
+function checkWatchRulesIdle(session) {
+  if (session.ended) return;
+  const now = Date.now();
+  for (const rule of (session.watchRules || []).slice()) {
+    if (rule.type !== 'idle' || !rule.idleArmedAt) continue;
+    if (now - rule.idleArmedAt < rule.seconds * 1000) continue;
+    rule.idleArmedAt = null;
+    fireWatchRule(session, rule, `最后输出于 ${new Date(session.lastOutputAt || rule.created).toLocaleTimeString()}`);
+  }
+}
+
+// 实时工作目录与前台进程：定期读取 /proc/<pid>/cwd 与终端的前台进程组（Linux），
+// 另外解析 shell 主动上报的 OSC 7（\e]7;file://host/path），cd 之后无需等轮询即可更新。
+const PROCESS_POLL_INTERVAL_MS = 2000;
+const OSC7_RE = /\x1b\]7;file:\/\/[^/\x07\x1b]*([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+
+function parseOsc7Cwd(data) {
+  let cwd = null;
+  for (const m of String(data).matchAll(OSC7_RE)) {
+    try {
+      cwd = decodeURIComponent(m[1]);
+    } catch {}
+  }
+  return cwd && path.isAbsolute(cwd) ? cwd : null;
+}
+
+function readProcessName(pid) {
+  try {
+    return fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
+// Foreground process group of the shell's terminal: tpgid, the 8th field of /proc/<pid>/stat
+// (counted after the parenthesised command name, which may itself contain spaces).
+function readForegroundPid(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const tpgid = Number.parseInt(fields[5], 10);
+    return tpgid > 0 ? tpgid : pid;
+  } catch {
+    return null;
+  }
+}
+
+function sessionProcessNotice(session) {
+  return {
+    type: 'process',
+    sessionId: session.id,
+    cwd: session.cwd,
+    inRoot: withinRoot(session.cwd),
+    foreground: session.foreground || null,
+  };
+}
+
+function updateSessionProcessInfo(session, { cwd = null } = {}) {
+  const pid = session.shell?.pid;
+  if (session.ended || !pid) return;
+
+  let nextCwd = cwd;
+  if (!nextCwd) {
+    try {
+      nextCwd = fs.readlinkSync(`/proc/${pid}/cwd`);
+    } catch {}
+  }
+  const fgPid = readForegroundPid(pid);
+  const foreground = fgPid ? { pid: fgPid, name: readProcessName(fgPid) } : null;
+
+  const cwdChanged = Boolean(nextCwd) && nextCwd !== session.cwd;
+  const fgChanged = foreground?.pid !== session.foreground?.pid || foreground?.name !== session.foreground?.name;
+  if (!cwdChanged && !fgChanged) return;
+  if (cwdChanged) {
+    session.cwd = nextCwd;
+    markSessionsDirty();
+  }
+  session.foreground = foreground;
+  const notice = sessionProcessNotice(session);
+  for (const sock of session.sockets) sendControl(sock, notice);
+}
+
+async function restoreSessions() {
+  const snapshot = readSessionSnapshot();
+  const live = new Map();
+  if (SESSION_HOST_ENABLED && (await connectSessionHost())) {
+    for (const h of await listHostSessions()) live.set(h.id, h);
+  } else if (SESSION_HOST_ENABLED) {
+    console.error('⚠️ 会话托管进程不可用，终端将随服务进程退出');
+  }
+
+  // 快照丢失但托管进程里仍在运行的 shell 也一并接管（clientId 留空，首次重连时认领）
+  const metas = snapshot.slice();
+  for (const id of live.keys()) {
+    if (!metas.some((m) => m.id === id)) metas.push({ id, cwd: ROOT, created: new Date(), lastActivity: new Date() });
+  }
+
+  let revived = 0;
+  for (const meta of metas) {
+    const session = sessionFromSnapshot(meta);
+    const h = live.get(session.id);
+    terminalSessions.set(session.id, session);
+    if (!h) {
+      if (!session.ended) markSessionEnded(session);
+      scheduleExitedSessionRemoval(session);
+      continue;
+    }
+    session.ended = false;
+    session.endedAt = null;
+    session.shell = createRemotePty(session.id, h.pid);
+    resumeSessionRecording(session, meta.recording);
+    bindSessionShell(session);
+    // attach 会先补发托管期间缓冲的输出；若 shell 已退出，随后收到 exit
+    hostSend({ op: 'attach', id: session.id });
+    if (!h.exited) revived += 1;
+  }
+
+  if (metas.length) {
+    console.log(`♻️ 已恢复会话 ${metas.length} 个（重新挂接运行中 ${revived} 个）`);
+    markSessionsDirty();
+  }
+}
+
+// 终端录像（asciicast v2）：记录带时间戳的输出事件与 RESIZE 事件，便于事后回放“到底发生了什么”
+// 文件名：<sessionId>-<startedAtMs>.cast
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+const RECORDING_FILE_RE = /^([0-9a-f]{32})-(\d+)\.cast$/;
+
+function recordingPath(file) {
+  if (!RECORDING_FILE_RE.test(String(file || ''))) return null;
+  return path.join(RECORDINGS_DIR, file);
+}
+
+function writeRecordingLine(session, value) {
+  try {
+    session.recording?.stream?.write(`${JSON.stringify(value)}\n`);
+  } catch {}
+}
+
+function recordSessionEvent(session, type, data) {
+  const rec = session.recording;
+  if (!rec) return;
+  const t = Math.max(0, (Date.now() - rec.startedAt) / 1000);
+  writeRecordingLine(session, [Number(t.toFixed(6)), type, data]);
+}
+
+function openRecordingStream(session, file) {
+  const stream = fs.createWriteStream(path.join(RECORDINGS_DIR, file), { flags: 'a' });
+  stream.on('error', (e) => {
+    console.error(`录像写入失败 (${file}):`, e?.message || e);
+    if (session.recording?.stream === stream) session.recording = null;
+  });
+  return stream;
+}
+
+function startSessionRecording(session) {
+  if (session.recording || session.ended) return session.recording;
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+  const startedAt = Date.now();
+  const file = `${session.id}-${startedAt}.cast`;
+  session.recording = { file, startedAt, stream: openRecordingStream(session, file) };
+  writeRecordingLine(session, {
+    version: 2,
+    width: session.cols,
+    height: session.rows,
+    timestamp: Math.floor(startedAt / 1000),
+    env: { SHELL: session.shellPath || DEFAULT_PROFILE.shell, TERM: session.term || DEFAULT_PROFILE.term },
+    title: `LAN-SHELL ${session.id}`,
+  });
+  markSessionsDirty();
+  console.log(`⏺️ 开始录像: ${file}`);
+  return session.recording;
+}
+
+// 服务重启后重新挂接的会话：继续追加到原录像文件（时间轴仍以开始录制时刻为基准）
+function resumeSessionRecording(session, meta) {
+  const file = meta?.file;
+  const startedAt = Number(meta?.startedAt);
+  if (!recordingPath(file) || !Number.isFinite(startedAt) || !fs.existsSync(recordingPath(file))) return;
+  session.recording = { file, startedAt, stream: openRecordingStream(session, file) };
+}
+
+function stopSessionRecording(session) {
+  const rec = session.recording;
+  if (!rec) return;
+  session.recording = null;
+  try {
+    rec.stream?.end();
+  } catch {}
+  markSessionsDirty();
+  console.log(`⏹️ 停止录像: ${rec.file}`);
+}
+
+function readRecordingInfo(file) {
+  const full = recordingPath(file);
+  const st = fs.statSync(full);
+  const [, sessionId, startedAt] = file.match(RECORDING_FILE_RE);
+  const info = {
+    id: file,
+    sessionId,
+    startedAt: new Date(Number(startedAt)),
+    size: st.size,
+    mtime: st.mtime,
+    width: null,
+    height: null,
+    duration: 0,
+    active: Array.from(terminalSessions.values()).some((sess) => sess.recording?.file === file),
+  };
+
+  // 头部（第一行）与最后一个事件的时间戳：只读文件首尾，避免整份载入大录像
+  const fd = fs.openSync(full, 'r');
+  try {
+    const headBuf = Buffer.alloc(Math.min(st.size, 4096));
+    fs.readSync(fd, headBuf, 0, headBuf.length, 0);
+    const header = JSON.parse(headBuf.toString('utf8').split('\n')[0] || '{}');
+    info.width = header.width ?? null;
+    info.height = header.height ?? null;
+
+    const tailLen = Math.min(st.size, 64 * 1024);
+    const tailBuf = Buffer.alloc(tailLen);
+    fs.readSync(fd, tailBuf, 0, tailLen, st.size - tailLen);
+    const lines = tailBuf.toString('utf8').split('\n').filter(Boolean);
+    for (let i = lines.length - 1; i >= 0; i -= 1) {
+      try {
+        const ev = JSON.parse(lines[i]);
+        if (Array.isArray(ev) && Number.isFinite(ev[0])) {
+          info.duration = ev[0];
+          break;
+        }
+      } catch {}
+    }
+  } catch {
+  } finally {
+    fs.closeSync(fd);
+  }
+  return info;
+}
+
+// 命令策略（/api/run、/api/jobs）：data/policy.json 中按顺序列出规则，第一条命中的规则决定放行或拒绝，
+// 都不命中时使用 default。文件不存在时由 ALLOWED_CMDS 生成等价策略（只放行这些命令名）；
+// 文件损坏时一律拒绝，避免策略失效后静默放开。
+// 规则字段（均可省略，省略即不限制该条件）：
+// - commands：命令名（与请求的 cmd 完全相同才算命中，`*` 表示任意命令）
+// - args：正则列表，任一条完整匹配任一个参数即命中（按单个参数匹配，自动加 ^…$，rm 不会命中 --form 或 farm.txt）
+// - cwd：相对 ALLOW_ROOT 的目录列表，工作目录位于其中任一目录（含子目录）即命中
+// - clientIds：请求方 clientId 列表
+const POLICY_FILE = path.join(DATA_DIR, 'policy.json');
+const POLICY_EFFECTS = ['allow', 'deny'];
+const POLICY_RULES_MAX = 200;
+
+let policyCache = null; // { mtimeMs, policy, error }
+
+function policyFromAllowedCmds() {
+  return {
+    version: 1,
+    default: 'deny',
+    rules: [{ id: 'allowed-cmds', effect: 'allow', commands: ALLOWED_CMDS.slice(), reason: '' }],
+  };
+}
+
+function validatePolicyStrings(value, field, maxLen = 500) {
+  if (value === undefined) return { ok: true };
+  if (!Array.isArray(value) || !value.length || value.some((v) => typeof v !== 'string' || !v || v.length > maxLen)) {
+    return { ok: false, error: `${field} must be a non-empty array of strings` };
+  }
+  return { ok: true };
+}
+
+function validatePolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { ok: false, error: 'policy invalid' };
+  const def = input.default ?? 'deny';
+  if (!POLICY_EFFECTS.includes(def)) return { ok: false, error: 'default must be allow or deny' };
+  if (!Array.isArray(input.rules)) return { ok: false, error: 'rules must be an array' };
+  if (input.rules.length > POLICY_RULES_MAX) return { ok: false, error: 'too many rules' };
+
+  const ids = new Set();
+  const rules = [];
+  for (const [i, rule] of input.rules.entries()) {
+    if (!rule || typeof rule !== 'object') return { ok: false, error: `rule ${i + 1} invalid` };
+    const id = rule.id === undefined ? `rule-${i + 1}` : rule.id;
+    if (typeof id !== 'string' || !id.trim() || ids.has(id)) return { ok: false, error: `rule ${i + 1}: id invalid or duplicate` };
+    ids.add(id);
+    if (!POLICY_EFFECTS.includes(rule.effect)) return { ok: false, error: `rule ${id}: effect must be allow or deny` };
+    for (const field of ['commands', 'args', 'cwd', 'clientIds']) {
+      const r = validatePolicyStrings(rule[field], `rule ${id}: ${field}`);
+      if (!r.ok) return r;
+    }
+    for (const pattern of rule.args || []) {
+      try {
+        // 单独编译一次：挡住 a)(b 这种加上 ^(?:…)$ 后才“合法”的模式
+        new RegExp(pattern);
+        policyArgRegExp(pattern);
+      } catch (e) {
+        return { ok: false, error: `rule ${id}: invalid regex: ${e?.message || e}` };
+      }
+    }
+    for (const dir of rule.cwd || []) {
+      if (!withinRoot(path.resolve(ROOT, dir))) return { ok: false, error: `rule ${id}: cwd out of root` };
+    }
+    if (rule.reason !== undefined && (typeof rule.reason !== 'string' || rule.reason.length > 200)) {
+      return { ok: false, error: `rule ${id}: reason invalid` };
+    }
+    const out = { id, effect: rule.effect };
+    for (const field of ['commands', 'args', 'cwd', 'clientIds']) {
+      if (rule[field]) out[field] = rule[field];
+    }
+    out.reason = rule.reason || '';
+    rules.push(out);
+  }
+  return { ok: true, policy: { version: 1, default: def, rules } };
+}
+
+// 按文件修改时间缓存，手工编辑 policy.json 后无需重启即可生效
+function readPolicy() {
+  let st = null;
+  try {
+    st = fs.statSync(POLICY_FILE);
+  } catch {
+    return { policy: policyFromAllowedCmds(), source: 'ALLOWED_CMDS' };
+  }
+  if (!policyCache || policyCache.mtimeMs !== st.mtimeMs) {
+    try {
+      const r = validatePolicy(JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8')));
+      policyCache = { mtimeMs: st.mtimeMs, policy: r.ok ? r.policy : null, error: r.ok ? null : r.error };
+    } catch (e) {
+      policyCache = { mtimeMs: st.mtimeMs, policy: null, error: e?.message || String(e) };
+    }
+    if (policyCache.error) console.error('命令策略文件无效，所有命令将被拒绝:', policyCache.error);
+  }
+  return { policy: policyCache.policy, source: 'file', error: policyCache.error };
+}
+
+function pathWithin(parent, target) {
+  const rel = path.relative(parent, target);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+function policyArgRegExp(pattern) {
+  return new RegExp(`^(?:${pattern})$`);
+}
+
+function policyRuleMatches(rule, req) {
+  if (rule.commands && !rule.commands.includes('*') && !rule.commands.includes(req.cmd)) return false;
+  if (rule.args) {
+    const res = rule.args.map(policyArgRegExp);
+    if (!req.args.some((arg) => res.some((re) => re.test(arg)))) return false;
+  }
+  if (rule.cwd && !rule.cwd.some((dir) => pathWithin(path.resolve(ROOT, dir), req.cwd))) return false;
+  if (rule.clientIds && !rule.clientIds.includes(req.clientId)) return false;
+  return true;
+}
+
+// req: { cmd, args, cwd（绝对路径）, clientId }；返回 { allowed, effect, rule, reason }
+function evaluatePolicy(policy, req) {
+  const rule = policy.rules.find((r) => policyRuleMatches(r, req)) || null;
+  const effect = rule ? rule.effect : policy.default;
+  let reason = rule?.reason || '';
+  if (!reason) {
+    reason = rule
+      ? `command "${req.cmd}" is ${effect === 'allow' ? 'allowed' : 'denied'} by policy rule "${rule.id}"`
+      : `no policy rule matches command "${req.cmd}" (default: ${policy.default})`;
+  }
+  return { allowed: effect === 'allow', effect, rule: rule ? rule.id : null, reason };
+}
+
+function checkCommandPolicy(req) {
+  const { policy, error } = readPolicy();
+  if (!policy) return { allowed: false, effect: 'deny', rule: null, reason: `policy file invalid: ${error}` };
+  return evaluatePolicy(policy, req);
+}
+
+// 工作流步骤、定时运行的指令集条目是一整行命令文本。不含 shell 语法的单条命令拆成真实的命令名和参数，
+// 直接启动并按它们检查策略；需要 shell 的（管道、重定向、变量、通配符、前置环境变量、多行等）
+// 以 bash -c 运行，且只有 commands 里明确写了 bash 的规则才能放行（`*` 和 default 都不算）。
+const SHELL_SYNTAX_CHARS = '|&;<>()$`\\*?[]{}~!#\r\n';
+
+// 返回 argv；需要 shell 时返回 null。只支持单引号、双引号（双引号里不能有 $ ` \）
+function splitSimpleCommand(command) {
+  const argv = [];
+  let word = null;
+  let quote = '';
+  for (const ch of String(command || '').trim()) {
+    if (quote) {
+      if (ch === quote) quote = '';
+      else if (quote === '"' && '$`\\'.includes(ch)) return null;
+      else word += ch;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      word = word ?? '';
+    } else if (ch === ' ' || ch === '\t') {
+      if (word !== null) argv.push(word);
+      word = null;
+    } else if (SHELL_SYNTAX_CHARS.includes(ch)) {
+      return null;
+    } else {
+      word = (word ?? '') + ch;
+    }
+  }
+  if (quote) return null;
+  if (word !== null) argv.push(word);
+  if (!argv[0] || argv[0].includes('=')) return null;
+  return argv;
+}
+
+// 返回 { cmd, args, shell, decision }：cmd/args 即实际要启动的命令
+function checkCommandLinePolicy(command, cwd, clientId) {
+  const argv = splitSimpleCommand(command);
+  if (argv) {
+    const req = { cmd: argv[0], args: argv.slice(1), cwd, clientId };
+    return { cmd: req.cmd, args: req.args, shell: false, decision: checkCommandPolicy(req) };
+  }
+  const req = { cmd: 'bash', args: ['-c', command], cwd, clientId };
+  let decision = checkCommandPolicy(req);
+  if (decision.allowed) {
+    const rule = readPolicy().policy?.rules.find((r) => r.id === decision.rule);
+    if (!rule?.commands?.includes('bash')) {
+      decision = {
+        allowed: false,
+        effect: 'deny',
+        rule: decision.rule,
+        reason: 'command needs a shell (pipes, redirects, variables, globs...); only a policy rule that lists "bash" in commands can allow it',
+      };
+    }
+  }
+  return { cmd: req.cmd, args: req.args, shell: true, decision };
+}
+
+// 后台任务（/api/run 与 /api/jobs）：每次运行分配一个任务 id，输出追加写入 data/jobs/<id>.log，
+// 浏览器断开不影响进程；可按字节偏移重新接入输出流，或发送 SIGTERM（超时后 SIGKILL）取消。
+// 任务元数据保存在 data/jobs.json；服务重启时仍在运行的任务无法再接管，标记为 lost。
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const JOB_ID_RE = /^[0-9a-f]{16}$/;
+const JOBS_MAX = Number.parseInt(process.env.JOBS_MAX || '', 10) || 200;
+const JOB_LOG_MAX_BYTES = Number.parseInt(process.env.JOB_LOG_MAX_BYTES || '', 10) || (16 * 1024 * 1024);
+const JOB_KILL_GRACE_MS = 5000;
+const JOB_STREAM_CHUNK_BYTES = 64 * 1024;
+
+const jobs = new Map(); // id -> job
+
+function jobLogPath(id) {
+  if (!JOB_ID_RE.test(String(id || ''))) return null;
+  return path.join(JOBS_DIR, `${id}.log`);
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    cmd: job.cmd,
+    args: job.args,
+    cwd: job.cwd,
+    clientId: job.clientId || '',
+    status: job.status,
+    pid: job.pid ?? null,
+    startedAt: job.startedAt,
+    endedAt: job.endedAt || null,
+    exitCode: job.exitCode ?? null,
+    signal: job.signal || null,
+    size: job.size,
+    logTruncated: Boolean(job.logTruncated),
+    ...(job.steps ? { workflow: job.workflow, steps: job.steps.map(serializeWorkflowStep) } : {}),
+    ...(job.archive ? { archive: serializeArchiveProgress(job.archive) } : {}),
+  };
+}
+
+function writeJobs() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const data = { version: 1, updatedAt: new Date().toISOString(), jobs: Array.from(jobs.values()).map(serializeJob) };
+  const tmp = `${JOBS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmp, JOBS_FILE);
+}
+
+function loadJobs() {
+  try {
+    if (!fs.existsSync(JOBS_FILE)) return;
+    const parsed = JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+    let lost = 0;
+    for (const j of Array.isArray(parsed?.jobs) ? parsed.jobs : []) {
+      if (!j || !jobLogPath(j.id)) continue;
+      const job = { ...j, args: Array.isArray(j.args) ? j.args : [], size: Number(j.size) || 0, listeners: new Set() };
+      if (job.status === 'running') {
+        job.status = 'lost';
+        job.endedAt = new Date();
+        lost += 1;
+        for (const step of job.steps || []) {
+          if (step.status === 'running' || step.status === 'waiting') step.status = 'lost';
+          else if (step.status === 'pending') step.status = 'skipped';
+        }
+      }
+      jobs.set(job.id, job);
+    }
+    if (lost) writeJobs();
+  } catch (e) {
+    console.error('读取任务列表失败，将忽略:', e?.message || e);
+  }
+}
+
+// Finished jobs beyond JOBS_MAX are dropped oldest-first together with their logs.
+function pruneJobs() {
+  const finished = Array.from(jobs.values()).filter((j) => j.status !== 'running');
+  let excess = jobs.size - JOBS_MAX;
+  for (const job of finished.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt))) {
+    if (excess <= 0) break;
+    removeJob(job);
+    excess -= 1;
+  }
+}
+
+function removeJob(job) {
+  jobs.delete(job.id);
+  try {
+    fs.unlinkSync(jobLogPath(job.id));
+  } catch {}
+}
+
+function jobOutputEvent(offset, data) {
+  return `id:${offset}\nevent:output\ndata:${JSON.stringify(data)}\n\n`;
+}
+
+function jobEndEvent(job) {
+  return `event:end\ndata:${JSON.stringify({ status: job.status, exitCode: job.exitCode ?? null, signal: job.signal || null })}\n\n`;
+}
+
+// 监听者收到输出字符串、工作流的 { step: index } 状态变化、压缩任务的 { progress: true }，结束时收到 null
+function appendJobOutput(job, data) {
+  // finishJob 已关闭日志：正在退出的子进程晚到的输出直接丢弃
+  if (job.fd === null) return;
+  const bytes = Buffer.byteLength(data);
+  if (job.size + bytes > JOB_LOG_MAX_BYTES) {
+    job.logTruncated = true;
+  } else {
+    try {
+      fs.writeSync(job.fd, data);
+      job.size += bytes;
+    } catch {
+      job.logTruncated = true;
+    }
+  }
+  for (const listener of job.listeners) listener(data);
+}
+
+function finishJob(job, exitCode, signal) {
+  if (job.status !== 'running') return;
+  clearTimeout(job.killTimer);
+  job.status = job.cancelled ? 'cancelled' : 'exited';
+  job.exitCode = exitCode ?? null;
+  job.signal = signal || null;
+  job.endedAt = new Date();
+  try {
+    fs.closeSync(job.fd);
+  } catch {}
+  job.fd = null;
+  job.child = null;
+  for (const listener of job.listeners) listener(null);
+  job.listeners.clear();
+  writeJobs();
+  console.log(`🏁 任务结束: ${job.id}（${job.cmd}，${job.status}，退出码 ${job.exitCode ?? '?'}）`);
+}
+
+// 返回 { job } 或 { status, error }（被策略拒绝时另带 reason / rule）
+function startJob({ cmd, args = [], cwd = '.' } = {}, clientId = '') {
+  const realCwd = path.resolve(ROOT, String(cwd || '.'));
+  if (!withinRoot(realCwd)) return { status: 403, error: 'cwd out of root' };
+  if (typeof cmd !== 'string' || !cmd) return { status: 400, error: 'cmd required' };
+  if (!Array.isArray(args) || args.some((a) => typeof a !== 'string')) return { status: 400, error: 'args must be an array of strings' };
+  const decision = checkCommandPolicy({ cmd, args, cwd: realCwd, clientId: String(clientId || '') });
+  if (!decision.allowed) {
+    console.log(`⛔ 命令被策略拒绝: ${cmd} ${args.join(' ')}（${decision.reason}）`);
+    return { status: 403, error: 'command not allowed', reason: decision.reason, rule: decision.rule };
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  // 先打开日志再启动进程：日志打不开时不会留下一个没人管的子进程
+  let fd;
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    fd = fs.openSync(jobLogPath(id), 'a');
+  } catch (e) {
+    return { status: 500, error: e?.message || 'job log open failed' };
+  }
+  let child;
+  try {
+    child = pty.spawn(cmd, args, { cwd: realCwd, name: 'xterm-color' });
+  } catch (e) {
+    fs.closeSync(fd);
+    fs.rmSync(jobLogPath(id), { force: true });
+    return { status: 500, error: e?.message || 'spawn failed' };
+  }
+  const job = {
+    id,
+    cmd,
+    args,
+    cwd: realCwd,
+    clientId: String(clientId || ''),
+    status: 'running',
+    pid: child.pid,
+    startedAt: new Date(),
+    endedAt: null,
+    exitCode: null,
+    signal: null,
+    size: 0,
+    logTruncated: false,
+    fd,
+    child,
+    listeners: new Set(),
+  };
+  jobs.set(id, job);
+  child.onData((d) => appendJobOutput(job, d));
+  child.onExit(({ exitCode, signal }) => finishJob(job, exitCode, signal));
+  pruneJobs();
+  writeJobs();
+  console.log(`🚀 启动任务: ${id}（${cmd} ${args.join(' ')}）`);
+  return { job };
+}
+
+function signalJob(job, sig) {
+  try {
+    // 没有 pid 时 -pid 会变成 0（本进程所在的进程组），只能退回到 child.kill
+    if (!job.pid) throw new Error('no pid');
+    process.kill(-job.pid, sig);
+  } catch {
+    try {
+      job.child?.kill(sig);
+    } catch {}
+  }
+}
+
+// SIGTERM the job's process group, then SIGKILL whatever is left after JOB_KILL_GRACE_MS.
+// A workflow waiting for confirmation has no process and ends right away.
+function cancelJob(job) {
+  if (job.status !== 'running') return false;
+  job.cancelled = true;
+  // 工作流在两步之间、压缩任务还在扫描文件时都没有子进程，直接结束
+  if (job.archive && !job.child) {
+    appendJobOutput(job, '==> 已取消\r\n');
+    finishJob(job, null, null);
+    return true;
+  }
+  if (job.steps && !job.child) {
+    const step = job.steps[job.stepIndex];
+    if (step?.status === 'waiting') step.status = 'cancelled';
+    finishWorkflow(job, null);
+    return true;
+  }
+  signalJob(job, 'SIGTERM');
+  job.killTimer = setTimeout(() => {
+    if (job.status === 'running') signalJob(job, 'SIGKILL');
+  }, JOB_KILL_GRACE_MS);
+  return true;
+}
+
+// Replay the log from `offset` (bytes), then follow live output until the job ends.
+function streamJob(job, offset, res) {
+  let pos = Math.max(0, Math.min(offset, job.size));
+  if (pos < job.size) {
+    const fd = fs.openSync(jobLogPath(job.id), 'r');
+    try {
+      while (pos < job.size) {
+        const buf = Buffer.alloc(Math.min(JOB_STREAM_CHUNK_BYTES, job.size - pos));
+        const n = fs.readSync(fd, buf, 0, buf.length, pos);
+        if (!n) break;
+        // 不在 UTF-8 多字节字符中间切断
+        let end = n;
+        if (pos + n < job.size) {
+          while (end > 0 && (buf[end - 1] & 0xc0) === 0x80) end -= 1;
+          if (end > 0 && buf[end - 1] >= 0xc0) end -= 1;
+          if (end === 0) end = n;
+        }
+        pos += end;
+        res.write(jobOutputEvent(pos, buf.subarray(0, end).toString('utf8')));
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  if (job.status !== 'running') {
+    res.write(jobEndEvent(job));
+    res.end();
+    return null;
+  }
+  const listener = (data) => {
+    try {
+      if (data === null) {
+        res.write(jobEndEvent(job));
+        res.end();
+        return;
+      }
+      if (typeof data === 'object' && data.progress) {
+        res.write(`event:progress\ndata:${JSON.stringify(serializeArchiveProgress(job.archive))}\n\n`);
+        return;
+      }
+      if (typeof data === 'object') {
+        res.write(`event:step\ndata:${JSON.stringify({ index: data.step, ...serializeWorkflowStep(job.steps[data.step]) })}\n\n`);
+        return;
+      }
+      // 日志已截断后偏移不再增长，仍照常推送实时输出
+      res.write(jobOutputEvent(job.size, data));
+    } catch {}
+  };
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+// 工作流（指令集中 type: 'workflow' 的节点）：在服务端按顺序运行各步骤（bash -c），整体是一个后台任务，
+// 日志里用 `==> [n/N]` 分隔行标出每一步，SSE 另推送 step 事件。步骤字段：
+//   command、name、cwd（相对运行时的工作目录）、env、continueOnError、timeoutSec、confirm（运行前等待确认）
+// 某一步失败（非 0 退出、超时、被策略拒绝）且未设 continueOnError 时停止，其余步骤记为 skipped。
+const WORKFLOW_STEPS_MAX = 50;
+const WORKFLOW_STEP_TIMEOUT_MAX_SEC = 24 * 3600;
+
+function validateWorkflowSteps(steps) {
+  if (!Array.isArray(steps) || !steps.length) return { ok: false, error: 'steps invalid' };
+  if (steps.length > WORKFLOW_STEPS_MAX) return { ok: false, error: 'too many steps' };
+  for (const [i, step] of steps.entries()) {
+    const at = `step ${i + 1}`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) return { ok: false, error: `${at}: invalid` };
+    if (typeof step.command !== 'string' || !step.command.trim()) return { ok: false, error: `${at}: command invalid` };
+    if (step.command.length > 20000) return { ok: false, error: `${at}: command too long` };
+    if (step.name !== undefined && typeof step.name !== 'string') return { ok: false, error: `${at}: name invalid` };
+    if (step.cwd !== undefined && typeof step.cwd !== 'string') return { ok: false, error: `${at}: cwd invalid` };
+    if (step.env !== undefined) {
+      if (!step.env || typeof step.env !== 'object' || Array.isArray(step.env)) return { ok: false, error: `${at}: env invalid` };
+      for (const [k, v] of Object.entries(step.env)) {
+        if (!ENV_NAME_RE.test(k) || typeof v !== 'string') return { ok: false, error: `${at}: env ${k} invalid` };
+      }
+    }
+    for (const key of ['continueOnError', 'confirm']) {
+      if (step[key] !== undefined && typeof step[key] !== 'boolean') return { ok: false, error: `${at}: ${key} invalid` };
+    }
+    if (
+      step.timeoutSec !== undefined &&
+      !(Number.isInteger(step.timeoutSec) && step.timeoutSec >= 1 && step.timeoutSec <= WORKFLOW_STEP_TIMEOUT_MAX_SEC)
+    ) {
+      return { ok: false, error: `${at}: timeoutSec must be 1-${WORKFLOW_STEP_TIMEOUT_MAX_SEC}` };
+    }
+  }
+  return { ok: true };
+}
+
+// status: pending / waiting（等待确认）/ running / ok / failed / timeout / cancelled / declined / skipped
+function serializeWorkflowStep(step) {
+  return {
+    name: step.name,
+    command: step.command,
+    cwd: step.cwd,
+    continueOnError: step.continueOnError,
+    timeoutSec: step.timeoutSec,
+    confirm: step.confirm,
+    status: step.status,
+    exitCode: step.exitCode ?? null,
+    signal: step.signal || null,
+    error: step.error || null,
+    startedAt: step.startedAt || null,
+    endedAt: step.endedAt || null,
+  };
+}
+
+function notifyWorkflowStep(job, index) {
+  for (const listener of job.listeners) listener({ step: index });
+  writeJobs();
+}
+
+function workflowStepLine(job, index, text) {
+  return `\r\n==> [${index + 1}/${job.steps.length}] ${job.steps[index].name}: ${text}\r\n`;
+}
+
+// 返回 { job } 或 { status, error }（与 startJob 相同）；所有步骤先过一遍命令策略，运行每一步前再检查一次
+function startWorkflowJob(node, { cwd = '.' } = {}, clientId = '') {
+  const baseCwd = path.resolve(ROOT, String(cwd || '.'));
+  if (!withinRoot(baseCwd)) return { status: 403, error: 'cwd out of root' };
+  const v = validateWorkflowSteps(node?.steps);
+  if (!v.ok) return { status: 400, error: v.error };
+
+  const steps = [];
+  for (const [i, s] of node.steps.entries()) {
+    const stepCwd = path.resolve(baseCwd, s.cwd || '.');
+    if (!withinRoot(stepCwd)) return { status: 403, error: `step ${i + 1}: cwd out of root` };
+    const { decision } = checkCommandLinePolicy(s.command, stepCwd, String(clientId || ''));
+    if (!decision.allowed) {
+      return { status: 403, error: 'command not allowed', reason: `step ${i + 1}: ${decision.reason}`, rule: decision.rule };
+    }
+    steps.push({
+      name: s.name || `step ${i + 1}`,
+      command: s.command,
+      cwd: stepCwd,
+      env: s.env || {},
+      continueOnError: Boolean(s.continueOnError),
+      timeoutSec: s.timeoutSec || null,
+      confirm: Boolean(s.confirm),
+      status: 'pending',
+    });
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  let fd;
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    fd = fs.openSync(jobLogPath(id), 'a');
+  } catch (e) {
+    return { status: 500, error: e?.message || 'job log open failed' };
+  }
+  const job = {
+    id,
+    cmd: 'workflow',
+    args: [node.name],
+    cwd: baseCwd,
+    clientId: String(clientId || ''),
+    status: 'running',
+    pid: null,
+    startedAt: new Date(),
+    endedAt: null,
+    exitCode: null,
+    signal: null,
+    size: 0,
+    logTruncated: false,
+    fd,
+    child: null,
+    listeners: new Set(),
+    workflow: { id: node.id, name: node.name },
+    steps,
+    stepIndex: 0,
+  };
+  jobs.set(id, job);
+  pruneJobs();
+  writeJobs();
+  console.log(`🚀 启动工作流: ${id}（${node.name}，${steps.length} 步）`);
+  runWorkflowStep(job, 0);
+  return { job };
+}
+
+function runWorkflowStep(job, index) {
+  job.stepIndex = index;
+  const step = job.steps[index];
+  if (!step || job.cancelled) return finishWorkflow(job, null);
+  if (step.confirm && !step.confirmed) {
+    step.status = 'waiting';
+    appendJobOutput(job, workflowStepLine(job, index, '等待确认'));
+    notifyWorkflowStep(job, index);
+    return; // 由 POST /api/jobs/:id/confirm 继续
+  }
+
+  step.startedAt = new Date();
+  const { cmd, args, decision } = checkCommandLinePolicy(step.command, step.cwd, job.clientId);
+  if (!decision.allowed) {
+    step.status = 'failed';
+    step.error = `command not allowed: ${decision.reason}`;
+    step.endedAt = new Date();
+    return afterWorkflowStep(job, index);
+  }
+
+  appendJobOutput(job, workflowStepLine(job, index, `${path.relative(ROOT, step.cwd) || '.'}\r\n$ ${step.command.replace(/\n/g, '\r\n')}`));
+  let child;
+  try {
+    child = pty.spawn(cmd, args, { cwd: step.cwd, env: { ...process.env, ...step.env }, name: 'xterm-color' });
+  } catch (e) {
+    step.status = 'failed';
+    step.error = e?.message || 'spawn failed';
+    step.endedAt = new Date();
+    return afterWorkflowStep(job, index);
+  }
+  step.status = 'running';
+  job.child = child;
+  job.pid = child.pid;
+  notifyWorkflowStep(job, index);
+
+  if (step.timeoutSec) {
+    job.stepTimer = setTimeout(() => {
+      step.timedOut = true;
+      signalJob(job, 'SIGTERM');
+      job.killTimer = setTimeout(() => {
+        if (job.child === child) signalJob(job, 'SIGKILL');
+      }, JOB_KILL_GRACE_MS);
+    }, step.timeoutSec * 1000);
+  }
+  child.onData((d) => appendJobOutput(job, d));
+  child.onExit(({ exitCode, signal }) => {
+    clearTimeout(job.stepTimer);
+    clearTimeout(job.killTimer);
+    job.child = null;
+    step.exitCode = exitCode ?? null;
+    step.signal = signal || null;
+    step.endedAt = new Date();
+    if (job.cancelled) step.status = 'cancelled';
+    else if (step.timedOut) step.status = 'timeout';
+    else step.status = exitCode === 0 && !signal ? 'ok' : 'failed';
+    afterWorkflowStep(job, index);
+  });
+}
+
+function afterWorkflowStep(job, index) {
+  const step = job.steps[index];
+  const detail = step.error || (step.signal ? `信号 ${step.signal}` : `退出码 ${step.exitCode ?? '?'}`);
+  const seconds = step.startedAt ? ((step.endedAt - step.startedAt) / 1000).toFixed(1) : '0';
+  appendJobOutput(job, workflowStepLine(job, index, `${step.status}（${detail}，${seconds}s）`));
+  notifyWorkflowStep(job, index);
+  if (job.cancelled || (step.status !== 'ok' && !step.continueOnError)) return finishWorkflow(job, step);
+  runWorkflowStep(job, index + 1);
+}
+
+// 退出码：全部完成为 0；中途停止时取失败步骤的退出码（超时为 124，未能启动为 1）
+function finishWorkflow(job, failedStep) {
+  for (const [i, step] of job.steps.entries()) {
+    if (step.status !== 'pending' && step.status !== 'waiting') continue;
+    step.status = 'skipped';
+    notifyWorkflowStep(job, i);
+  }
+  let exitCode = 0;
+  if (failedStep) {
+    if (failedStep.status === 'timeout') exitCode = 124;
+    else exitCode = failedStep.exitCode ?? 1;
+  }
+  finishJob(job, exitCode, failedStep?.status === 'timeout' ? null : failedStep?.signal);
+}
+
+// 等待确认的步骤：proceed 为 false 时拒绝，整个工作流按取消结束
+function confirmWorkflowStep(job, index, proceed) {
+  const step = job.steps?.[index];
+  if (job.status !== 'running' || !step || step.status !== 'waiting') return false;
+  if (proceed) {
+    step.confirmed = true;
+    runWorkflowStep(job, index);
+  } else {
+    job.cancelled = true;
+    step.status = 'declined';
+    appendJobOutput(job, workflowStepLine(job, index, 'declined'));
+    notifyWorkflowStep(job, index);
+    finishWorkflow(job, null);
+  }
+  return true;
+}
+
+// 定时任务（/api/schedules）：按 cron 表达式在指定目录运行命令（{ cmd, args }，与 /api/run 相同并受命令策略约束）
+// 或指令集中的某条指令（以 `bash -c <内容>` 运行，模板参数取默认值）。每次运行都是一个后台任务，输出与退出码见 /api/jobs。
+// 时间按服务器本地时区；服务停止期间错过的运行不补跑；上一次运行尚未结束时跳过本次。
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const SCHEDULES_MAX = 100;
+const SCHEDULE_RUNS_MAX = 20;
+const SCHEDULE_CHECK_INTERVAL_MS = 10 * 1000;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], base: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], base: 0 },
+];
+
+const schedules = new Map(); // id -> schedule
+
+function cronValue(text, field) {
+  const idx = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (idx !== -1) return idx + field.base;
+  if (!/^\d+$/.test(text)) return NaN;
+  return Number(text);
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/i);
+    if (!m) return { error: `invalid ${field.name}: ${part}` };
+    let lo;
+    let hi;
+    if (m[1] === '*') {
+      if (m[2]) return { error: `invalid ${field.name}: ${part}` };
+      lo = field.min;
+      hi = field.max;
+    } else {
+      lo = cronValue(m[1], field);
+      hi = m[2] ? cronValue(m[2], field) : m[3] ? field.max : lo;
+    }
+    const step = m[3] ? Number(m[3]) : 1;
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < field.min || hi > field.max || lo > hi || step < 1) {
+      return { error: `invalid ${field.name}: ${part}` };
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return { values };
+}
+
+// 标准 5 段 cron（分 时 日 月 周），支持 * , - / 、月份与星期英文缩写和 @daily 等宏；
+// 日与周都不是 * 时按 cron 惯例取“或”
+function parseCron(expr) {
+  const text = String(expr || '').trim();
+  const parts = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) return { error: 'cron must have 5 fields: minute hour day-of-month month day-of-week' };
+  const sets = [];
+  for (const [i, part] of parts.entries()) {
+    const r = parseCronField(part, CRON_FIELDS[i]);
+    if (r.error) return r;
+    sets.push(r.values);
+  }
+  if (sets[4].has(7)) sets[4].add(0);
+  return {
+    cron: {
+      minutes: sets[0],
+      hours: sets[1],
+      days: sets[2],
+      months: sets[3],
+      weekdays: sets[4],
+      anyDay: parts[2] === '*',
+      anyWeekday: parts[4] === '*',
+    },
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+// 下一次运行时间（严格晚于 from）；5 年内都不会触发（如 2 月 30 日）时返回 null
+function nextCronRun(cron, from = new Date()) {
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from.getTime() + 5 * 366 * 24 * 3600 * 1000;
+  while (d.getTime() <= limit) {
+    if (!cron.months.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+function findCommandSetEntry(node, id) {
+  if (!node) return null;
+  if (node.id === id) return node;
+  for (const child of node.children || []) {
+    const found = findCommandSetEntry(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+// 合并已有定时任务与修改内容后校验；返回 { schedule } 或 { error }
+function validateSchedule(input, existing = null) {
+  if (!input || typeof input !== 'object') return { error: 'invalid body' };
+  const merged = { ...(existing || {}), ...input };
+  const name = typeof merged.name === 'string' ? merged.name.trim().slice(0, 80) : '';
+  const parsed = parseCron(merged.cron);
+  if (parsed.error) return { error: parsed.error };
+
+  let command = merged.command || null;
+  let commandSetId = typeof merged.commandSetId === 'string' ? merged.commandSetId : '';
+  // 修改时可以在两种来源之间切换：以本次请求给出的字段为准
+  if (input.command) commandSetId = '';
+  else if (input.commandSetId) command = null;
+  if (Boolean(command) === Boolean(commandSetId)) return { error: 'exactly one of command or commandSetId is required' };
+  if (command) {
+    const { cmd, args = [] } = command;
+    if (typeof cmd !== 'string' || !cmd) return { error: 'command.cmd required' };
+    if (!Array.isArray(args) || args.some((a) => typeof a !== 'string')) return { error: 'command.args must be an array of strings' };
+    command = { cmd, args };
+  } else {
+    const entry = findCommandSetEntry(readCommandSets().root, commandSetId);
+    if (!entry || entry.type !== 'command') return { error: 'command set entry not found' };
+  }
+
+  const cwd = typeof merged.cwd === 'string' && merged.cwd ? merged.cwd : '.';
+  if (!withinRoot(path.resolve(ROOT, cwd))) return { error: 'cwd out of root' };
+
+  return {
+    schedule: {
+      id: existing?.id || crypto.randomBytes(6).toString('hex'),
+      name,
+      cron: String(merged.cron).trim(),
+      command,
+      commandSetId,
+      cwd,
+      clientId: typeof merged.clientId === 'string' ? merged.clientId : '',
+      enabled: merged.enabled !== false,
+      created: existing?.created || new Date(),
+      updatedAt: new Date(),
+      runs: existing?.runs || [],
+      parsedCron: parsed.cron,
+    },
+  };
+}
+
+function serializeSchedule(schedule) {
+  const last = schedule.runs[schedule.runs.length - 1] || null;
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    cron: schedule.cron,
+    command: schedule.command,
+    commandSetId: schedule.commandSetId || null,
+    cwd: schedule.cwd,
+    clientId: schedule.clientId,
+    enabled: schedule.enabled,
+    created: schedule.created,
+    updatedAt: schedule.updatedAt,
+    nextRunAt: schedule.enabled ? schedule.nextRunAt : null,
+    lastRun: last,
+    runs: schedule.runs,
+  };
+}
 
-// Terminal session management
-const terminalSessions = new Map(); // id -> session
+function writeSchedules() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const data = { version: 1, updatedAt: new Date().toISOString(), schedules: Array.from(schedules.values()).map(serializeSchedule) };
+  const tmp = `${SCHEDULES_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmp, SCHEDULES_FILE);
+}
 
-function filterHistoryForReplay(data) {
-  // 过滤“清空回滚区”的控制序列：很多 clear 实现会输出 ESC[3J，导致回放时只能看到当前屏幕且无法上滑。
-  // 这里只影响“恢复回放”，不影响真实 PTY 会话本身。
+// 重启后从当前时间重新计算下一次运行；仍标记为 running 的记录按任务的最终状态补全
+function loadSchedules() {
   try {
-    return String(data || '').replace(/\x1b\[3J/g, '');
-  } catch {
-    return '';
+    if (!fs.existsSync(SCHEDULES_FILE)) return;
+    const parsed = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+    for (const s of Array.isArray(parsed?.schedules) ? parsed.schedules : []) {
+      const cron = parseCron(s?.cron);
+      if (!s || typeof s.id !== 'string' || cron.error) continue;
+      const runs = (Array.isArray(s.runs) ? s.runs : []).map((run) => {
+        if (run?.status !== 'running') return run;
+        const job = jobs.get(run.jobId);
+        return { ...run, status: job?.status === 'running' ? 'lost' : job?.status || 'lost', exitCode: job?.exitCode ?? null, endedAt: job?.endedAt || null };
+      });
+      const schedule = { ...s, runs, parsedCron: cron.cron };
+      schedule.nextRunAt = nextCronRun(schedule.parsedCron);
+      schedules.set(schedule.id, schedule);
+    }
+  } catch (e) {
+    console.error('读取定时任务失败，将忽略:', e?.message || e);
   }
 }
 
-function trimHistoryForReplay(history) {
-  const s = String(history || '');
-  if (s.length <= HISTORY_MAX_CHARS) return s;
-  let start = s.length - HISTORY_MAX_CHARS;
-  // 尽量从换行边界开始，避免截断在半行/半个控制序列附近导致回放只剩“屏幕绘制片段”
-  const nl = s.indexOf('\n', start);
-  if (nl !== -1 && nl + 1 < s.length) start = nl + 1;
-  return s.slice(start);
+function recordScheduleRun(schedule, run) {
+  schedule.runs.push(run);
+  if (schedule.runs.length > SCHEDULE_RUNS_MAX) schedule.runs.splice(0, schedule.runs.length - SCHEDULE_RUNS_MAX);
 }
 
-function sendWsTextInChunks(ws, text, chunkSize = 16 * 1024) {
-  const s = String(text || '');
-  if (!s) return;
-  for (let i = 0; i < s.length; i += chunkSize) {
-    try {
-      ws.send(s.slice(i, i + chunkSize));
-    } catch {
-      break;
+// trigger: 'cron' | 'manual'；返回 { run, job? }
+function runSchedule(schedule, trigger) {
+  const startedAt = new Date();
+  if (schedule.runs.some((r) => r.status === 'running' && jobs.get(r.jobId)?.status === 'running')) {
+    const run = { trigger, startedAt, endedAt: startedAt, status: 'skipped', error: 'previous run still running', jobId: null, exitCode: null };
+    recordScheduleRun(schedule, run);
+    writeSchedules();
+    return { run };
+  }
+
+  let request = schedule.command;
+  let requestError = '';
+  if (!request) {
+    const entry = findCommandSetEntry(readCommandSets().root, schedule.commandSetId);
+    // 模板指令使用各参数的默认值
+    const rendered = entry?.type === 'command' ? renderCommandTemplate(entry) : { error: 'command set entry not found' };
+    if (rendered.command === undefined) {
+      request = null;
+      requestError = rendered.error;
+    } else {
+      // 和工作流步骤一样按真实命令检查策略；需要 shell 的条目须有明确放行 bash 的规则
+      const checked = checkCommandLinePolicy(rendered.command, path.resolve(ROOT, schedule.cwd || '.'), String(schedule.clientId || ''));
+      request = checked.decision.allowed ? { cmd: checked.cmd, args: checked.args } : null;
+      if (!request) requestError = `command not allowed: ${checked.decision.reason}`;
     }
   }
+  const r = request ? startJob({ ...request, cwd: schedule.cwd }, schedule.clientId) : { error: requestError };
+  if (r.error) {
+    const run = { trigger, startedAt, endedAt: startedAt, status: 'failed', error: r.reason || r.error, jobId: null, exitCode: null };
+    recordScheduleRun(schedule, run);
+    writeSchedules();
+    console.log(`⏰ 定时任务 ${schedule.name || schedule.id} 未能启动: ${run.error}`);
+    return { run };
+  }
+
+  const run = { trigger, startedAt, endedAt: null, status: 'running', error: null, jobId: r.job.id, exitCode: null };
+  recordScheduleRun(schedule, run);
+  r.job.listeners.add((data) => {
+    if (data !== null) return;
+    run.status = r.job.status;
+    run.exitCode = r.job.exitCode;
+    run.endedAt = r.job.endedAt;
+    writeSchedules();
+  });
+  writeSchedules();
+  console.log(`⏰ 运行定时任务 ${schedule.name || schedule.id}（${trigger}）: 任务 ${r.job.id}`);
+  return { run, job: r.job };
 }
 
-function generateSessionId() {
-  return crypto.randomBytes(16).toString('hex');
+function checkSchedules() {
+  const now = Date.now();
+  for (const schedule of schedules.values()) {
+    if (!schedule.enabled || !schedule.nextRunAt || schedule.nextRunAt.getTime() > now) continue;
+    schedule.nextRunAt = nextCronRun(schedule.parsedCron);
+    runSchedule(schedule, 'cron');
+  }
 }
 
 function execFileAsync(file, args, options = {}) {
@@ -457,6 +3839,128 @@ app.put('/api/file', (req, res) => {
   }
 });
 
+// 文件下载（NO AUTH）
+// - 单个文件：交给 res.download，自动处理 Content-Type / Content-Disposition / Range（断点续传）/ ETag
+// - 目录或多选（path 可重复传入）：用 zip / tar 边打包边输出到响应，不在磁盘上生成临时压缩包
+const DOWNLOAD_ARCHIVE_FORMATS = {
+  // zip 写到管道时无法保存软链接（-y 会直接报错退出），所以先列出条目、跳过软链接，再经 stdin 交给 zip
+  zip: { ext: '.zip', listEntries: true, command: () => ['zip', ['-q', '-', '-@']] },
+  'tar.gz': { ext: '.tar.gz', command: (names) => ['tar', ['-czf', '-', '--', ...names]] },
+};
+
+// 多个目标的最近公共父目录（压缩包内的条目都相对它）
+function commonParentDir(targets) {
+  let base = path.dirname(targets[0]);
+  while (!targets.every((t) => t !== base && pathWithin(base, t))) {
+    const up = path.dirname(base);
+    if (up === base) break;
+    base = up;
+  }
+  return base;
+}
+
+async function streamArchiveDownload(res, targets, format) {
+  const spec = DOWNLOAD_ARCHIVE_FORMATS[format];
+  const base = commonParentDir(targets);
+  const names = targets.map((t) => path.relative(base, t) || '.');
+  const label = path.basename(targets.length === 1 ? targets[0] : base) || 'download';
+  const [cmd, args] = spec.command(names);
+
+  let entries = null;
+  if (spec.listEntries) {
+    try {
+      entries = await collectArchiveEntries(base, targets, [], null, { skipLinks: true });
+    } catch (e) {
+      return res.status(e?.code === 'ETOOMANY' ? 413 : 500).json({ error: e?.message || 'archive failed' });
+    }
+    if (!entries.length) return res.status(400).json({ error: 'nothing to archive' });
+  }
+
+  let child;
+  try {
+    child = spawn(cmd, args, { cwd: base, stdio: [entries ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || 'archive failed' });
+  }
+  if (entries) {
+    child.stdin.on('error', () => {});
+    child.stdin.end(`${entries.join('\n')}\n`);
+  }
+
+  // 响应头等到第一块数据才发送：缺少 zip/tar 或打包一开始就失败时还能返回 JSON 错误；
+  // 已经开始发送后再失败则直接断开连接，不让客户端把截断的压缩包当成完整文件
+  let stderr = '';
+  let done = false;
+  child.stderr.on('data', (d) => {
+    if (stderr.length < 4096) stderr += d.toString();
+  });
+  child.stdout.on('data', (chunk) => {
+    if (!res.headersSent) {
+      res.attachment(`${label}${spec.ext}`);
+      res.setHeader('Cache-Control', 'no-store');
+    }
+    if (!res.write(chunk)) {
+      child.stdout.pause();
+      res.once('drain', () => child.stdout.resume());
+    }
+  });
+  const fail = (error) => {
+    if (done) return;
+    done = true;
+    console.warn(`download archive: ${error}`);
+    if (!res.headersSent) return res.status(500).json({ error });
+    res.destroy();
+  };
+  child.on('error', (e) => fail(`${cmd}: ${e?.message || e}`));
+  child.on('close', (code, signal) => {
+    if (code !== 0) return fail(`${cmd} exited with ${code ?? signal}: ${stderr.trim()}`);
+    if (done) return;
+    done = true;
+    if (!res.headersSent) res.attachment(`${label}${spec.ext}`);
+    res.end();
+  });
+  // 客户端中途断开：停止打包
+  res.on('close', () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      try { child.kill('SIGTERM'); } catch {}
+    }
+  });
+}
+
+app.get('/api/download', (req, res) => {
+  const raws = [].concat(req.query.path ?? []).filter((p) => typeof p === 'string' && p);
+  if (!raws.length) return res.status(400).json({ error: 'path required' });
+  if (raws.length > 1000) return res.status(413).json({ error: 'too many paths' });
+
+  const targets = [];
+  let isDir = false;
+  for (const raw of raws) {
+    const r = resolvePathFromQuery(raw);
+    if (!r.ok) return res.status(403).json({ error: r.error });
+    let st;
+    try {
+      st = fs.statSync(r.target);
+    } catch {
+      return res.status(404).json({ error: `not found: ${raw}` });
+    }
+    if (!st.isFile() && !st.isDirectory()) return res.status(400).json({ error: `not a file or directory: ${raw}` });
+    if (st.isDirectory()) isDir = true;
+    if (!targets.includes(r.target)) targets.push(r.target);
+  }
+
+  if (targets.length === 1 && !isDir) {
+    return res.download(targets[0], path.basename(targets[0]), { dotfiles: 'allow' }, (err) => {
+      if (err && !res.headersSent) res.status(err.status || 500).json({ error: err.message || 'download failed' });
+    });
+  }
+
+  const format = String(req.query.format || 'zip');
+  if (!DOWNLOAD_ARCHIVE_FORMATS[format]) return res.status(400).json({ error: 'format must be zip or tar.gz' });
+  // 选中了某个目录和它里面的内容：只保留外层，避免重复打包
+  const roots = targets.filter((t) => !targets.some((o) => o !== t && pathWithin(o, t)));
+  return streamArchiveDownload(res, roots, format);
+});
+
 // 上传文件（NO AUTH）
 // 前端会把文件读成 base64 传入，这里按二进制写入（支持非文本文件）。
 app.post('/api/upload', (req, res) => {
@@ -652,6 +4156,278 @@ app.post('/api/archive/extract', async (req, res) => {
   return res.json({ ok: true, type, archive: ar.target, dest: dest.target, entries: entries.length });
 });
 
+// 预览压缩包内容（NO AUTH）：与解压前的安全检查相同，safe 为 false 的条目会导致解压被拒绝
+const ARCHIVE_LIST_MAX = 5000;
+
+app.get('/api/archive/list', async (req, res) => {
+  const ar = resolvePathFromQuery(req.query.path);
+  if (!ar.ok) return res.status(403).json({ error: ar.error });
+  const type = detectArchiveType(ar.target);
+  if (!type) return res.status(415).json({ error: 'unsupported archive type' });
+
+  let st;
+  try {
+    st = fs.statSync(ar.target);
+    if (!st.isFile()) return res.status(400).json({ error: 'not a file' });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || 'archive invalid' });
+  }
+
+  let entries = [];
+  try {
+    entries = await listArchiveEntries(ar.target, type);
+  } catch (e) {
+    return res.status(400).json({ error: `cannot read archive: ${e?.message || e}` });
+  }
+  return res.json({
+    ok: true,
+    path: ar.target,
+    type,
+    size: st.size,
+    count: entries.length,
+    unsafe: entries.filter((x) => !isSafeArchiveEntry(x)).length,
+    truncated: entries.length > ARCHIVE_LIST_MAX,
+    entries: entries.slice(0, ARCHIVE_LIST_MAX).map((name) => ({
+      name,
+      isDir: name.endsWith('/'),
+      safe: isSafeArchiveEntry(name),
+    })),
+  });
+});
+
+// 创建压缩包（NO AUTH）：作为后台任务运行（见 /api/jobs），进度按已写入条目数输出到任务日志并推送 progress 事件。
+// 文件清单由这里展开（不跟随软链接，应用 exclude），经 stdin 交给 zip -@ / tar -T -；
+// 先写到同目录的临时文件，成功后再改名为目标文件，失败或取消时删除。
+// exclude：不含 / 的模式匹配任意层级的文件/目录名（如 node_modules、*.log），含 / 的匹配路径（如 src/tmp、**/*.map）。
+const ARCHIVE_CREATE_FORMATS = {
+  zip: { ext: '.zip', args: (out) => ['zip', ['-y', out, '-@']] },
+  'tar.gz': { ext: '.tar.gz', args: (out) => ['tar', ['-czvf', out, '--no-recursion', '--verbatim-files-from', '-T', '-']] },
+  'tar.xz': { ext: '.tar.xz', args: (out) => ['tar', ['-cJvf', out, '--no-recursion', '--verbatim-files-from', '-T', '-']] },
+};
+const ARCHIVE_CREATE_MAX_ENTRIES = Number.parseInt(process.env.ARCHIVE_CREATE_MAX_ENTRIES || '', 10) || 100000;
+const ARCHIVE_EXCLUDE_MAX = 100;
+const ARCHIVE_PROGRESS_INTERVAL_MS = 500;
+
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      i += 1;
+      // **/ 匹配零到多层目录
+      if (pattern[i + 1] === '/') {
+        re += '(?:.*/)?';
+        i += 1;
+      } else re += '.*';
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function compileArchiveExcludes(list) {
+  if (list === undefined || list === null) return { ok: true, matchers: [] };
+  if (!Array.isArray(list) || list.length > ARCHIVE_EXCLUDE_MAX) return { ok: false, error: 'exclude invalid' };
+  const matchers = [];
+  for (const raw of list) {
+    if (typeof raw !== 'string' || raw.length > 200 || raw.includes('\0')) return { ok: false, error: 'exclude invalid' };
+    const p = raw.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+    if (!p) continue;
+    matchers.push({ byPath: p.includes('/'), re: globToRegExp(p) });
+  }
+  return { ok: true, matchers };
+}
+
+// 返回相对 base 的条目列表（目录在其内容之前）；超出上限时抛出 code = 'ETOOMANY'
+// 异步遍历，大目录不会卡住事件循环
+async function collectArchiveEntries(base, targets, matchers, skip, { skipLinks = false } = {}) {
+  const entries = [];
+  // 含 / 的模式从任意一层目录开始匹配（src/tmp 也会排除 app/src/tmp）
+  const excluded = (rel) => {
+    const suffixes = rel.split('/').map((_, i, parts) => parts.slice(i).join('/'));
+    return matchers.some((m) => (m.byPath ? suffixes.some((s) => m.re.test(s)) : m.re.test(path.basename(rel))));
+  };
+  const walk = async (abs) => {
+    const rel = path.relative(base, abs);
+    if (abs === skip || (rel && excluded(rel)) || rel.includes('\n')) return;
+    const st = await fs.promises.lstat(abs);
+    if (!st.isFile() && !st.isDirectory() && !(st.isSymbolicLink() && !skipLinks)) return;
+    if (entries.length >= ARCHIVE_CREATE_MAX_ENTRIES) {
+      const e = new Error(`too many entries (>${ARCHIVE_CREATE_MAX_ENTRIES})`);
+      e.code = 'ETOOMANY';
+      throw e;
+    }
+    entries.push(rel || '.');
+    if (!st.isDirectory()) return;
+    for (const name of (await fs.promises.readdir(abs)).sort()) await walk(path.join(abs, name));
+  };
+  for (const t of targets) await walk(t);
+  return entries;
+}
+
+function serializeArchiveProgress(a) {
+  return { output: a.output, format: a.format, total: a.total, done: a.done, bytes: a.bytes ?? null };
+}
+
+function notifyArchiveProgress(job) {
+  job.archive.notifiedAt = Date.now();
+  for (const listener of job.listeners) listener({ progress: true });
+}
+
+// 任务先以 running 状态登记，扫描文件和启动打包都在任务里进行，接口立即返回
+function startArchiveJob({ sources, output, format, matchers }, clientId = '') {
+  const base = commonParentDir(sources);
+  const id = crypto.randomBytes(8).toString('hex');
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+  const job = {
+    id,
+    cmd: 'archive',
+    args: [output],
+    cwd: base,
+    clientId: String(clientId || ''),
+    status: 'running',
+    pid: null,
+    startedAt: new Date(),
+    endedAt: null,
+    exitCode: null,
+    signal: null,
+    size: 0,
+    logTruncated: false,
+    fd: fs.openSync(jobLogPath(id), 'a'),
+    child: null,
+    listeners: new Set(),
+    archive: { output, format, total: null, done: 0 },
+  };
+  jobs.set(id, job);
+  pruneJobs();
+  writeJobs();
+  console.log(`🚀 启动压缩任务: ${id}（${output}）`);
+
+  appendJobOutput(job, `==> 扫描 ${path.relative(ROOT, base) || base}\r\n`);
+  collectArchiveEntries(base, sources, matchers, output).then(
+    (entries) => {
+      if (job.status !== 'running') return;
+      if (!entries.length) {
+        appendJobOutput(job, '==> 没有可打包的文件\r\n');
+        return finishJob(job, 1, null);
+      }
+      runArchiveJob(job, entries);
+    },
+    (e) => {
+      appendJobOutput(job, `${e?.message || e}\r\n`);
+      finishJob(job, 1, null);
+    },
+  );
+  return { job };
+}
+
+function runArchiveJob(job, entries) {
+  const { output, format } = job.archive;
+  const tmp = `${output}.${job.id}.tmp`;
+  const [cmd, args] = ARCHIVE_CREATE_FORMATS[format].args(tmp);
+  job.archive.total = entries.length;
+  appendJobOutput(job, `==> ${cmd} ${path.relative(ROOT, output) || output}（${entries.length} 个条目）\r\n`);
+  notifyArchiveProgress(job);
+
+  const child = spawn(cmd, args, { cwd: job.cwd, detached: true, stdio: ['pipe', 'pipe', 'pipe'] });
+  job.child = child;
+  job.pid = child.pid ?? null;
+  writeJobs();
+
+  // zip 每个条目输出一行 "  adding: ..."，tar -v 输出条目名
+  let pending = '';
+  child.stdout.on('data', (chunk) => {
+    const lines = (pending + chunk.toString('utf8')).split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      job.archive.done = Math.min(job.archive.done + 1, job.archive.total);
+      appendJobOutput(job, `[${job.archive.done}/${job.archive.total}] ${line.trim()}\r\n`);
+    }
+    if (Date.now() - (job.archive.notifiedAt || 0) >= ARCHIVE_PROGRESS_INTERVAL_MS) notifyArchiveProgress(job);
+  });
+  child.stderr.on('data', (chunk) => appendJobOutput(job, chunk.toString('utf8').replace(/\r?\n/g, '\r\n')));
+  child.stdin.on('error', () => {});
+  child.stdin.end(`${entries.join('\n')}\n`);
+
+  const done = (exitCode, signal) => {
+    if (job.status !== 'running') return;
+    const ok = exitCode === 0 && !signal && !job.cancelled;
+    try {
+      if (ok) fs.renameSync(tmp, output);
+      else fs.rmSync(tmp, { force: true });
+    } catch (e) {
+      appendJobOutput(job, `${e?.message || e}\r\n`);
+      exitCode = exitCode || 1;
+    }
+    if (ok) {
+      job.archive.done = job.archive.total;
+      try {
+        job.archive.bytes = fs.statSync(output).size;
+      } catch {}
+    }
+    notifyArchiveProgress(job);
+    appendJobOutput(job, ok ? `==> 完成：${output}（${job.archive.bytes ?? '?'} 字节）\r\n` : '==> 未完成，已删除临时文件\r\n');
+    finishJob(job, exitCode, signal);
+  };
+  // 启动失败（如缺少 zip/tar）时没有 pid，直接按失败结束，不留给取消逻辑处理
+  child.on('error', (e) => {
+    job.pid = null;
+    appendJobOutput(job, `${cmd}: ${e?.message || e}\r\n`);
+    done(127, null);
+  });
+  child.on('close', (code, signal) => done(code, signal));
+}
+
+// body: { sources: [路径], name, format: 'zip'|'tar.gz'|'tar.xz', dest（默认为各来源的公共父目录）, exclude: [模式], overwrite }
+app.post('/api/archive/create', (req, res) => {
+  const body = req.body || {};
+  const raws = Array.isArray(body.sources) ? body.sources.filter((p) => typeof p === 'string' && p) : [];
+  if (!raws.length) return res.status(400).json({ error: 'sources required' });
+  if (raws.length > 1000) return res.status(413).json({ error: 'too many sources' });
+
+  const format = String(body.format || 'zip');
+  const spec = ARCHIVE_CREATE_FORMATS[format];
+  if (!spec) return res.status(400).json({ error: 'format must be zip, tar.gz or tar.xz' });
+  const ex = compileArchiveExcludes(body.exclude);
+  if (!ex.ok) return res.status(400).json({ error: ex.error });
+
+  const sources = [];
+  for (const raw of raws) {
+    const r = resolvePathFromQuery(raw);
+    if (!r.ok) return res.status(403).json({ error: r.error });
+    if (!fs.existsSync(r.target)) return res.status(404).json({ error: `not found: ${raw}` });
+    if (!sources.includes(r.target)) sources.push(r.target);
+  }
+  const roots = sources.filter((t) => !sources.some((o) => o !== t && pathWithin(o, t)));
+
+  const dest = body.dest ? resolvePathFromQuery(body.dest) : { ok: true, target: commonParentDir(roots) };
+  if (!dest.ok) return res.status(403).json({ error: dest.error });
+  if (!withinRoot(dest.target)) return res.status(403).json({ error: 'out of root' });
+  const v = validateFileName(body.name || (roots.length === 1 ? path.basename(roots[0]) : path.basename(dest.target)));
+  if (!v.ok) return res.status(400).json({ error: v.error });
+  const output = path.join(dest.target, v.name.endsWith(spec.ext) ? v.name : `${v.name}${spec.ext}`);
+
+  try {
+    if (!fs.statSync(dest.target).isDirectory()) return res.status(400).json({ error: 'dest is not a directory' });
+  } catch {
+    return res.status(400).json({ error: 'dest not found' });
+  }
+  if (fs.existsSync(output)) {
+    if (!body.overwrite) return res.status(409).json({ error: 'output exists', output });
+    if (!fs.statSync(output).isFile()) return res.status(400).json({ error: 'output is not a file' });
+  }
+
+  let r;
+  try {
+    r = startArchiveJob({ sources: roots, output, format, matchers: ex.matchers }, body.clientId || req.query.clientId);
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || 'archive failed' });
+  }
+  return res.status(201).json({ job: serializeJob(r.job) });
+});
+
 // 文件操作（NO AUTH）
 // - 删除：二次确认由前端负责；服务端仅做路径与根目录保护
 // - 重命名：仅改名，不允许跨目录（避免变相 move）
@@ -943,6 +4719,10 @@ app.put('/api/command-sets', (req, res) => {
   if (!body.root) return res.status(400).json({ error: 'missing root' });
   const r = validateCommandNode(body.root);
   if (!r.ok) return res.status(400).json({ error: r.error || 'invalid' });
+  const t = validateCommandTemplates(body.root);
+  if (!t.ok) return res.status(400).json({ error: t.error });
+  const conflict = commandSetsConflict(body.updatedAt);
+  if (conflict) return res.status(conflict.status).json({ error: conflict.error, current: conflict.current });
 
   try {
     const saved = writeCommandSets(body);
@@ -953,6 +4733,235 @@ app.put('/api/command-sets', (req, res) => {
   }
 });
 
+// 指令集版本历史：列表 / 查看 / 差异 / 恢复
+app.get('/api/command-sets/revisions', (req, res) => {
+  const currentId = commandSetsRevisionId(readCommandSets());
+  const revisions = [];
+  for (const id of listCommandSetsRevisionIds().reverse()) {
+    const rev = readCommandSetsRevision(id);
+    if (!rev) continue;
+    const entries = Array.from(flattenCommandTree(rev.root).values());
+    revisions.push({
+      id,
+      updatedAt: rev.updatedAt,
+      source: rev.source || 'edit',
+      current: id === currentId,
+      commands: entries.filter((e) => e.type !== 'folder').length,
+      folders: entries.filter((e) => e.type === 'folder').length,
+    });
+  }
+  res.json({ revisions, max: COMMAND_SETS_REVISIONS_MAX });
+});
+
+app.get('/api/command-sets/revisions/:id', (req, res) => {
+  const rev = readCommandSetsRevision(req.params.id);
+  if (!rev) return res.status(404).json({ error: '版本不存在' });
+  res.json(rev);
+});
+
+// 从 :id 到 against（默认当前版本）的变化
+app.get('/api/command-sets/revisions/:id/diff', (req, res) => {
+  const rev = readCommandSetsRevision(req.params.id);
+  if (!rev) return res.status(404).json({ error: '版本不存在' });
+  const against = (req.query.against || 'current').toString();
+  const other = against === 'current' ? readCommandSets() : readCommandSetsRevision(against);
+  if (!other) return res.status(404).json({ error: '对比的版本不存在' });
+  res.json({ from: rev.updatedAt, to: other.updatedAt, ...diffCommandTrees(rev.root, other.root) });
+});
+
+app.post('/api/command-sets/revisions/:id/restore', (req, res) => {
+  const rev = readCommandSetsRevision(req.params.id);
+  if (!rev) return res.status(404).json({ error: '版本不存在' });
+  const conflict = commandSetsConflict(req.body?.updatedAt);
+  if (conflict) return res.status(conflict.status).json({ error: conflict.error, current: conflict.current });
+  try {
+    const saved = writeCommandSets({ root: rev.root }, 'restore');
+    res.json({ ok: true, saved });
+  } catch (e) {
+    console.error('恢复指令集失败:', e?.message || e);
+    res.status(500).json({ error: 'write failed' });
+  }
+});
+
+// 导出 / 导入：format=json|sh；导入 mode=merge（默认）|replace
+app.get('/api/command-sets/export', (req, res) => {
+  const format = (req.query.format || 'json').toString();
+  if (format !== 'json' && format !== 'sh') return res.status(400).json({ error: 'format must be json or sh' });
+  const data = readCommandSets();
+  const stamp = data.updatedAt.replace(/[-:]/g, '').replace(/\..*$/, '');
+  res.setHeader('Content-Disposition', `attachment; filename="lanshell-commands-${stamp}.${format}"`);
+  if (format === 'sh') {
+    res.type('text/x-shellscript; charset=utf-8');
+    return res.send(commandSetsToShell(data));
+  }
+  res.type('application/json; charset=utf-8');
+  res.send(JSON.stringify(data, null, 2));
+});
+
+// JSON 请求体 { format, content, mode, updatedAt }，或直接上传文本（参数放在 query 里）
+app.post('/api/command-sets/import', express.text({ type: ['text/*', 'application/x-sh'], limit: '8mb' }), (req, res) => {
+  const isText = typeof req.body === 'string';
+  const opts = isText ? req.query : req.body || {};
+  const content = isText ? req.body : opts.content;
+  const format = (opts.format || (typeof content === 'string' && !content.trimStart().startsWith('{') ? 'sh' : 'json')).toString();
+  const mode = (opts.mode || 'merge').toString();
+  if (format !== 'json' && format !== 'sh') return res.status(400).json({ error: 'format must be json or sh' });
+  if (mode !== 'merge' && mode !== 'replace') return res.status(400).json({ error: 'mode must be merge or replace' });
+
+  let incoming;
+  if (format === 'sh') {
+    if (typeof content !== 'string') return res.status(400).json({ error: 'missing content' });
+    incoming = commandSetsFromShell(content);
+  } else {
+    let parsed = content;
+    if (typeof content === 'string') {
+      try {
+        parsed = JSON.parse(content);
+      } catch {
+        return res.status(400).json({ error: 'invalid JSON' });
+      }
+    }
+    // 既接受导出的整份数据，也接受单独的 root
+    incoming = parsed?.root || parsed;
+    if (!incoming || typeof incoming !== 'object') return res.status(400).json({ error: 'missing root' });
+    incoming = { ...incoming, id: 'root', type: 'folder', name: incoming.name || 'root' };
+  }
+  const r = validateCommandNode(incoming);
+  if (!r.ok) return res.status(400).json({ error: r.error || 'invalid' });
+  if (!flattenCommandTree(incoming).size) return res.status(400).json({ error: '没有可导入的指令' });
+
+  const conflict = commandSetsConflict(opts.updatedAt);
+  if (conflict) return res.status(conflict.status).json({ error: conflict.error, current: conflict.current });
+
+  const stats = { added: 0, updated: 0, unchanged: 0, folders: 0 };
+  let root;
+  if (mode === 'replace') {
+    root = normalizeCommandTreeIds(JSON.parse(JSON.stringify(incoming)));
+    for (const entry of flattenCommandTree(root).values()) {
+      if (entry.type === 'command') stats.added += 1;
+      else stats.folders += 1;
+    }
+  } else {
+    root = JSON.parse(JSON.stringify(readCommandSets().root));
+    mergeCommandTree(root, incoming, new Set(['root', ...flattenCommandTree(root).keys()]), stats, format === 'sh');
+    const merged = validateCommandNode(root);
+    if (!merged.ok) return res.status(400).json({ error: merged.error || 'invalid' });
+  }
+  const t = validateCommandTemplates(root);
+  if (!t.ok) return res.status(400).json({ error: t.error });
+
+  try {
+    const saved = writeCommandSets({ root }, 'import');
+    res.json({ ok: true, mode, format, ...stats, saved });
+  } catch (e) {
+    console.error('导入指令集失败:', e?.message || e);
+    res.status(500).json({ error: 'write failed' });
+  }
+});
+
+// 项目指令（?cwd=，相对 ALLOW_ROOT；auto=0 不生成 package.json / Makefile 指令）
+app.get('/api/command-sets/project', (req, res) => {
+  const cwd = path.resolve(ROOT, (req.query.cwd || '.').toString());
+  if (!withinRoot(cwd)) return res.status(403).json({ error: 'out of root' });
+  try {
+    if (!fs.statSync(cwd).isDirectory()) return res.status(400).json({ error: 'not a directory' });
+  } catch {
+    return res.status(404).json({ error: 'not found' });
+  }
+  const auto = req.query.auto === undefined ? PROJECT_COMMANDS_AUTO : req.query.auto !== '0';
+  res.json(projectCommandSets(cwd, { auto }));
+});
+
+// Command templates: parameters of an entry, and server-side validation + rendering of filled-in values.
+// Project entries are looked up in the project commands of ?cwd=.
+app.get('/api/command-sets/entries/:id/template', (req, res) => {
+  const node = findCommandSetEntry(readCommandSets().root, req.params.id) || findProjectCommandEntry(req, req.params.id);
+  if (!node || node.type !== 'command') return res.status(404).json({ error: '指令不存在' });
+  const t = commandTemplateParams(node);
+  if (t.error) return res.status(400).json({ error: t.error });
+  res.json({ id: node.id, name: node.name, content: node.content, autoSend: Boolean(node.autoSend), params: t.params });
+});
+
+app.post('/api/command-sets/entries/:id/render', (req, res) => {
+  const node = findCommandSetEntry(readCommandSets().root, req.params.id) || findProjectCommandEntry(req, req.params.id);
+  if (!node || node.type !== 'command') return res.status(404).json({ error: '指令不存在' });
+  const r = renderCommandTemplate(node, req.body?.values || {});
+  if (r.error) return res.status(400).json({ error: r.error, param: r.param || null });
+  res.json({ command: r.command, autoSend: Boolean(node.autoSend) });
+});
+
+// 工作流：在服务端作为后台任务运行（body cwd 为各步骤的基准目录，默认 ALLOW_ROOT；项目工作流同样按 ?cwd= 查找）
+app.post('/api/command-sets/entries/:id/run', (req, res) => {
+  const node = findCommandSetEntry(readCommandSets().root, req.params.id) || findProjectCommandEntry(req, req.params.id);
+  if (!node || node.type !== 'workflow') return res.status(404).json({ error: '工作流不存在' });
+  const r = startWorkflowJob(node, { cwd: req.body?.cwd }, req.body?.clientId || req.query.clientId);
+  if (r.error) return res.status(r.status).json({ error: r.error, reason: r.reason, rule: r.rule });
+  res.status(201).json({ job: serializeJob(r.job) });
+});
+
+// 终端配置（profile）CRUD（NO AUTH）
+app.get('/api/profiles', (req, res) => {
+  const profiles = readProfiles();
+  // 内置默认配置未被覆盖时也列出来，便于前端展示
+  if (!profiles.some((p) => p.id === DEFAULT_PROFILE.id)) profiles.unshift({ ...DEFAULT_PROFILE, builtin: true });
+  res.json({ profiles });
+});
+
+app.get('/api/profiles/:id', (req, res) => {
+  const profile = findProfile(req.params.id);
+  if (!profile) return res.status(404).json({ error: '终端配置不存在' });
+  res.json({ profile });
+});
+
+app.post('/api/profiles', (req, res) => {
+  const body = req.body || {};
+  const r = validateProfile({ ...body, id: body.id || `p_${crypto.randomBytes(4).toString('hex')}` });
+  if (!r.ok) return res.status(400).json({ error: r.error });
+  const profiles = readProfiles();
+  if (profiles.some((p) => p.id === r.profile.id)) return res.status(409).json({ error: '终端配置已存在' });
+
+  try {
+    writeProfiles([...profiles, r.profile]);
+    res.status(201).json({ ok: true, profile: r.profile });
+  } catch (e) {
+    console.error('写入终端配置失败:', e?.message || e);
+    res.status(500).json({ error: 'write failed' });
+  }
+});
+
+app.put('/api/profiles/:id', (req, res) => {
+  const r = validateProfile({ ...(req.body || {}), id: req.params.id });
+  if (!r.ok) return res.status(400).json({ error: r.error });
+  const profiles = readProfiles();
+  const idx = profiles.findIndex((p) => p.id === r.profile.id);
+  // 允许用 PUT 覆盖内置默认配置
+  if (idx === -1 && r.profile.id !== DEFAULT_PROFILE.id) return res.status(404).json({ error: '终端配置不存在' });
+  if (idx === -1) profiles.push(r.profile);
+  else profiles[idx] = r.profile;
+
+  try {
+    writeProfiles(profiles);
+    res.json({ ok: true, profile: r.profile });
+  } catch (e) {
+    console.error('写入终端配置失败:', e?.message || e);
+    res.status(500).json({ error: 'write failed' });
+  }
+});
+
+app.delete('/api/profiles/:id', (req, res) => {
+  const profiles = readProfiles();
+  const next = profiles.filter((p) => p.id !== req.params.id);
+  if (next.length === profiles.length) return res.status(404).json({ error: '终端配置不存在' });
+
+  try {
+    writeProfiles(next);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('写入终端配置失败:', e?.message || e);
+    res.status(500).json({ error: 'write failed' });
+  }
+});
+
 function resolveCwdFromReq(req, { queryKey = 'cwd', bodyKey = 'cwd', defaultValue = '.' } = {}) {
   const raw = (req.query?.[queryKey] ?? req.body?.[bodyKey] ?? defaultValue).toString();
   if (raw.trim() === '.') return { ok: false, error: 'forbidden at root', cwd: null, raw };
@@ -1369,38 +5378,277 @@ app.post('/api/git/revert', async (req, res) => {
   }
 });
 
-// One-shot command with SSE output (NO AUTH, still restricted by ALLOWED_CMDS)
-app.post('/api/run', (req, res) => {
-  const { cmd, args = [], cwd = '.' } = req.body || {};
-  const realCwd = path.resolve(ROOT, cwd);
-  if (!withinRoot(realCwd)) return res.status(403).end();
-  if (!ALLOWED_CMDS.includes(cmd)) return res.status(403).json({ error: 'command not allowed' });
+// One-shot command with SSE output (NO AUTH, still restricted by the command policy)
+// The command runs as a job: closing the stream does not stop it, see /api/jobs.
+app.post('/api/run', (req, res) => {
+  const r = startJob(req.body || {}, req.body?.clientId || req.query.clientId);
+  if (r.error) return res.status(r.status).json({ error: r.error, reason: r.reason, rule: r.rule });
+  const { job } = r;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Job-Id', job.id);
+  res.flushHeaders();
+  res.write(`event:job\ndata:${JSON.stringify({ id: job.id })}\n\n`);
+
+  const listener = (d) => {
+    try {
+      if (d === null) {
+        res.write(`event:end\ndata:${job.exitCode}\n\n`);
+        res.end();
+        return;
+      }
+      res.write(`data:${d}\n\n`);
+    } catch {}
+  };
+  job.listeners.add(listener);
+  // 客户端断开时响应会触发 close（请求体读完后的 req close 在各 Node 版本里时机不一致，不能当作断开信号）
+  res.on('close', () => job.listeners.delete(listener));
+});
+
+// Jobs (NO AUTH): list / start / detail / log / stream (resume from a byte offset) / cancel
+app.get('/api/jobs', (req, res) => {
+  const status = (req.query.status || '').toString();
+  const list = Array.from(jobs.values())
+    .filter((j) => !status || j.status === status)
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .map(serializeJob);
+  res.json({ jobs: list });
+});
+
+app.post('/api/jobs', (req, res) => {
+  const r = startJob(req.body || {}, req.body?.clientId || req.query.clientId);
+  if (r.error) return res.status(r.status).json({ error: r.error, reason: r.reason, rule: r.rule });
+  res.status(201).json({ job: serializeJob(r.job) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: '任务不存在' });
+  res.json({ job: serializeJob(job) });
+});
+
+app.get('/api/jobs/:id/log', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: '任务不存在' });
+  const offset = Math.max(0, Number.parseInt((req.query.offset || '').toString(), 10) || 0);
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('X-Job-Size', String(job.size));
+  res.setHeader('X-Job-Status', job.status);
+  if (offset >= job.size || !fs.existsSync(jobLogPath(job.id))) return res.end();
+  fs.createReadStream(jobLogPath(job.id), { start: offset, end: job.size - 1 }).pipe(res);
+});
+
+// ?offset= (or Last-Event-ID on EventSource reconnects) is the byte offset in the job log to resume from
+app.get('/api/jobs/:id/stream', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: '任务不存在' });
+  const offset = Number.parseInt((req.get('Last-Event-ID') || req.query.offset || '').toString(), 10) || 0;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+  res.write(`event:job\ndata:${JSON.stringify(serializeJob(job))}\n\n`);
+
+  const unsubscribe = streamJob(job, offset, res);
+  if (!unsubscribe) return;
+  const heartbeat = setInterval(() => {
+    try {
+      res.write(':\n\n');
+    } catch {}
+  }, NOTIFICATION_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// 工作流中等待确认的步骤：{ step: index, proceed: true|false }
+app.post('/api/jobs/:id/confirm', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: '任务不存在' });
+  const index = Number(req.body?.step);
+  if (!confirmWorkflowStep(job, index, req.body?.proceed !== false)) return res.status(409).json({ error: '该步骤不在等待确认' });
+  res.json({ ok: true, job: serializeJob(job) });
+});
+
+// 运行中的任务：SIGTERM（5 秒后仍未退出则 SIGKILL）；已结束的任务：删除记录与日志
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: '任务不存在' });
+  if (job.status === 'running') {
+    cancelJob(job);
+    return res.json({ ok: true, cancelled: true });
+  }
+  removeJob(job);
+  writeJobs();
+  res.json({ ok: true, removed: true });
+});
+
+// Schedules (NO AUTH): CRUD + run now; every run is a job (see /api/jobs)
+app.get('/api/schedules', (req, res) => {
+  const list = Array.from(schedules.values())
+    .sort((a, b) => new Date(a.created) - new Date(b.created))
+    .map(serializeSchedule);
+  res.json({ schedules: list });
+});
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.flushHeaders();
+app.post('/api/schedules', (req, res) => {
+  if (schedules.size >= SCHEDULES_MAX) return res.status(400).json({ error: `too many schedules (max ${SCHEDULES_MAX})` });
+  const r = validateSchedule(req.body || {});
+  if (r.error) return res.status(400).json({ error: r.error });
+  const schedule = r.schedule;
+  schedule.nextRunAt = nextCronRun(schedule.parsedCron);
+  schedules.set(schedule.id, schedule);
+  writeSchedules();
+  res.status(201).json({ schedule: serializeSchedule(schedule) });
+});
 
-  const child = pty.spawn(cmd, args, { cwd: realCwd, name: 'xterm-color' });
-  child.onData((d) => res.write(`data:${d}\n\n`));
-  child.onExit(({ exitCode }) => {
-    res.write(`event:end\ndata:${exitCode}\n\n`);
-    res.end();
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = schedules.get(req.params.id);
+  if (!schedule) return res.status(404).json({ error: '定时任务不存在' });
+  // 附带之后 5 次的运行时间，便于确认 cron 表达式
+  const upcoming = [];
+  let at = new Date();
+  while (upcoming.length < 5 && (at = nextCronRun(schedule.parsedCron, at))) upcoming.push(at);
+  res.json({ schedule: serializeSchedule(schedule), upcoming });
+});
+
+// 未给出的字段保持不变
+app.put('/api/schedules/:id', (req, res) => {
+  const existing = schedules.get(req.params.id);
+  if (!existing) return res.status(404).json({ error: '定时任务不存在' });
+  const r = validateSchedule(req.body || {}, existing);
+  if (r.error) return res.status(400).json({ error: r.error });
+  const schedule = r.schedule;
+  schedule.nextRunAt = nextCronRun(schedule.parsedCron);
+  schedules.set(schedule.id, schedule);
+  writeSchedules();
+  res.json({ schedule: serializeSchedule(schedule) });
+});
+
+app.delete('/api/schedules/:id', (req, res) => {
+  if (!schedules.delete(req.params.id)) return res.status(404).json({ error: '定时任务不存在' });
+  writeSchedules();
+  res.json({ ok: true });
+});
+
+app.post('/api/schedules/:id/run', (req, res) => {
+  const schedule = schedules.get(req.params.id);
+  if (!schedule) return res.status(404).json({ error: '定时任务不存在' });
+  const { run, job } = runSchedule(schedule, 'manual');
+  if (!job) return res.status(run.status === 'skipped' ? 409 : 403).json({ error: run.error, run });
+  res.json({ run, job: serializeJob(job) });
+});
+
+// Command policy (NO AUTH): read / dry-run evaluation
+app.get('/api/policy', (req, res) => {
+  const { policy, source, error } = readPolicy();
+  res.json({ policy, source, error: error || null });
+});
+
+// body: { cmd, args, cwd, clientId, policy? }；给出 policy 时按这份草稿评估（不保存）
+app.post('/api/policy/evaluate', (req, res) => {
+  const { cmd, args = [], cwd = '.', clientId = '', policy } = req.body || {};
+  if (typeof cmd !== 'string' || !cmd) return res.status(400).json({ error: 'cmd required' });
+  if (!Array.isArray(args) || args.some((a) => typeof a !== 'string')) return res.status(400).json({ error: 'args must be an array of strings' });
+  const realCwd = path.resolve(ROOT, String(cwd || '.'));
+  if (!withinRoot(realCwd)) return res.status(400).json({ error: 'cwd out of root' });
+  const request = { cmd, args, cwd: realCwd, clientId: String(clientId || '') };
+  if (policy !== undefined) {
+    const r = validatePolicy(policy);
+    if (!r.ok) return res.status(400).json({ error: r.error });
+    return res.json(evaluatePolicy(r.policy, request));
+  }
+  res.json(checkCommandPolicy(request));
+});
+
+// 会话上限与当前用量（clientId 可选，用于统计该客户端自己的会话数）
+app.get('/api/limits', (req, res) => {
+  const clientId = String(req.query.clientId || '');
+  res.json({
+    maxSessions: MAX_SESSIONS,
+    maxSessionsPerClient: MAX_SESSIONS_PER_CLIENT,
+    maxHistoryTotalChars: MAX_HISTORY_TOTAL_CHARS,
+    sessionLimits: effectiveSessionLimits({}),
+    usage: {
+      sessions: runningSessionCount(),
+      clientSessions: clientId ? runningSessionCount(clientId) : null,
+      historyChars: totalHistoryChars(),
+    },
   });
 });
 
 // Session list/history (NO AUTH)
+// ?q= matches id/name/title/notes/cwd/tags (case-insensitive), ?tag= keeps sessions carrying that tag
 app.get('/api/sessions', (req, res) => {
   const clientId = (req.query.clientId || '').toString();
+  const q = (req.query.q || '').toString().trim().toLowerCase();
+  const tag = (req.query.tag || '').toString().trim();
   const sessions = Array.from(terminalSessions.entries()).map(([id, session]) => ({
     id,
+    ...sessionMeta(session),
+    profile: session.profile || DEFAULT_PROFILE.id,
+    limits: session.limits || {},
     cwd: session.cwd,
+    foreground: session.foreground || null,
     created: session.created,
     lastActivity: session.lastActivity,
     cols: session.cols,
     rows: session.rows,
     clientId: session.clientId || '',
+    status: sessionStatus(session),
+    ended: Boolean(session.ended),
+    endedAt: session.endedAt || null,
+    exitCode: session.exitCode ?? null,
+    signal: session.signal ?? null,
+    recording: session.recording?.file || null,
+    throughput: sessionThroughput(session),
+    spectators: sessionWatchers(session).length,
+    group: findSessionGroup(id)?.id || null,
   }));
-  res.json({ sessions: clientId ? sessions.filter((s) => s.clientId === clientId) : sessions });
+  const matches = (s) => {
+    if (clientId && s.clientId !== clientId) return false;
+    if (tag && !s.tags.includes(tag)) return false;
+    if (!q) return true;
+    return [s.id, s.name, s.title, s.notes, s.cwd, ...s.tags].some((v) => String(v || '').toLowerCase().includes(q));
+  };
+  res.json({ sessions: sessions.filter(matches) });
+});
+
+// Set name / color / tags / notes of a session (only the given fields change)
+app.patch('/api/sessions/:id', (req, res) => {
+  const clientId = (req.query.clientId || req.body?.clientId || '').toString();
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  if (clientId && (session.clientId || '') !== clientId) return res.status(403).json({ error: 'forbidden' });
+
+  const { meta, error } = validateSessionMeta(req.body || {});
+  if (error) return res.status(400).json({ error });
+  Object.assign(session, meta);
+  markSessionsDirty();
+  broadcastSessionMeta(session);
+  res.json({ id: session.id, ...sessionMeta(session) });
+});
+
+// Search every session's scrollback (same query params as /api/sessions/:id/search; `limit` is per session)
+app.get('/api/search', (req, res) => {
+  const clientId = (req.query.clientId || '').toString();
+  const params = parseSearchParams(req.query);
+  if (params.error) return res.status(400).json({ error: params.error });
+
+  const sessions = [];
+  let total = 0;
+  for (const [id, session] of terminalSessions.entries()) {
+    if (clientId && (session.clientId || '') !== clientId) continue;
+    const result = searchSessionHistory(session, params);
+    if (!result.matches.length) continue;
+    total += result.matches.length;
+    sessions.push({ id, cwd: session.cwd, status: sessionStatus(session), lastActivity: session.lastActivity, ...result });
+  }
+  sessions.sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+  res.json({ sessions, total });
 });
 
 // Terminate all sessions (kills all ptys and clears the restore list)
@@ -1409,24 +5657,7 @@ app.delete('/api/sessions', (req, res) => {
   const ids = Array.from(terminalSessions.entries())
     .filter(([, s]) => !clientId || (s.clientId || '') === clientId)
     .map(([id]) => id);
-  for (const id of ids) {
-    const session = terminalSessions.get(id);
-    if (!session) continue;
-
-    try {
-      for (const sock of session.sockets || []) {
-        try {
-          sock.close();
-        } catch {}
-      }
-    } catch {}
-
-    try {
-      session.shell?.kill();
-    } catch {}
-
-    terminalSessions.delete(id);
-  }
+  for (const id of ids) removeSession(id);
   res.json({ ok: true, deleted: ids.length });
 });
 
@@ -1440,6 +5671,68 @@ app.get('/api/sessions/:id/history', (req, res) => {
     cwd: session.cwd,
     cols: session.cols,
     rows: session.rows,
+    status: sessionStatus(session),
+    ended: Boolean(session.ended),
+    exitCode: session.exitCode ?? null,
+    signal: session.signal ?? null,
+  });
+});
+
+// Full-text search of one session's scrollback (?q=&regex=1&ignoreCase=1&context=2&limit=100)
+app.get('/api/sessions/:id/search', (req, res) => {
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  const params = parseSearchParams(req.query);
+  if (params.error) return res.status(400).json({ error: params.error });
+
+  res.json({ sessionId: req.params.id, ...searchSessionHistory(session, params) });
+});
+
+// Download the replay history as a transcript (?format=txt|html|ansi, ?download=0 shows it inline)
+app.get('/api/sessions/:id/export', (req, res) => {
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  const format = (req.query.format || 'txt').toString();
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+
+  const fileName = sessionExportFileName(session, format);
+  res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+  if (String(req.query.download ?? '1') !== '0') {
+    const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_');
+    res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  }
+  res.send(sessionExportBody(session, format));
+});
+
+// Command history from shell integration (OSC 133). The list omits output; fetch one command for it.
+app.get('/api/sessions/:id/commands', (req, res) => {
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+
+  const limit = Number.parseInt((req.query.limit || '').toString(), 10);
+  const commands = (session.commands || []).slice(Number.isFinite(limit) && limit > 0 ? -limit : 0).map((rec) => {
+    const { output, ...rest } = serializeCommand(rec);
+    return {
+      ...rest,
+      running: session.runningCommand?.rec === rec,
+      outputChars: output.length,
+      lineFromEnd: commandLineFromEnd(session, rec.id),
+    };
+  });
+  res.json({ commands });
+});
+
+app.get('/api/sessions/:id/commands/:commandId', (req, res) => {
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  const id = Number.parseInt(req.params.commandId, 10);
+  const rec = (session.commands || []).find((c) => c.id === id);
+  if (!rec) return res.status(404).json({ error: '命令不存在' });
+
+  res.json({
+    ...serializeCommand(rec),
+    running: session.runningCommand?.rec === rec,
+    lineFromEnd: commandLineFromEnd(session, rec.id),
   });
 });
 
@@ -1453,36 +5746,377 @@ app.delete('/api/sessions/:id', (req, res) => {
     return res.status(403).json({ error: 'forbidden' });
   }
 
+  removeSession(sessionId);
+  res.json({ ok: true });
+});
+
+// Start/stop asciicast recording of a session (body.enabled: true/false; omitted = toggle)
+app.post('/api/sessions/:id/recording', (req, res) => {
+  const clientId = (req.query.clientId || req.body?.clientId || '').toString();
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  if (clientId && (session.clientId || '') !== clientId) return res.status(403).json({ error: 'forbidden' });
+
+  const enabled = typeof req.body?.enabled === 'boolean' ? req.body.enabled : !session.recording;
   try {
-    for (const sock of session.sockets || []) {
-      try {
-        sock.close();
-      } catch {}
+    if (enabled) {
+      if (session.ended) return res.status(409).json({ error: 'session ended' });
+      startSessionRecording(session);
+    } else {
+      stopSessionRecording(session);
     }
-  } catch {}
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || 'recording failed' });
+  }
+  res.json({ ok: true, recording: session.recording?.file || null });
+});
+
+// Read-only spectator links: list (with current watchers) / create / revoke
+app.get('/api/sessions/:id/spectators', (req, res) => {
+  const clientId = (req.query.clientId || '').toString();
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  if (clientId && (session.clientId || '') !== clientId) return res.status(403).json({ error: 'forbidden' });
+
+  const watchers = sessionWatchers(session);
+  const spectators = Array.from(session.spectators.values()).map((sp) => ({
+    ...sp,
+    url: `/?watch=${encodeURIComponent(sp.token)}`,
+    watchers: watchers.filter((w) => w.token === sp.token).length,
+  }));
+  res.json({ spectators, watchers });
+});
+
+app.post('/api/sessions/:id/spectators', (req, res) => {
+  const clientId = (req.query.clientId || req.body?.clientId || '').toString();
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  if (clientId && (session.clientId || '') !== clientId) return res.status(403).json({ error: 'forbidden' });
+
+  const label = typeof req.body?.label === 'string' ? req.body.label.trim().slice(0, 80) : '';
+  const spectator = { token: generateSpectatorToken(), label, created: new Date() };
+  session.spectators.set(spectator.token, spectator);
+  markSessionsDirty();
+  res.status(201).json({ ...spectator, url: `/?watch=${encodeURIComponent(spectator.token)}` });
+});
+
+app.delete('/api/sessions/:id/spectators/:token', (req, res) => {
+  const clientId = (req.query.clientId || '').toString();
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  if (clientId && (session.clientId || '') !== clientId) return res.status(403).json({ error: 'forbidden' });
 
+  const closed = revokeSpectatorToken(session, req.params.token);
+  if (closed < 0) return res.status(404).json({ error: '观看链接不存在' });
+  res.json({ ok: true, closed });
+});
+
+// Session groups for synchronized (broadcast) input
+app.get('/api/groups', (req, res) => {
+  res.json({ groups: Array.from(sessionGroups.values()).map(serializeSessionGroup) });
+});
+
+app.post('/api/groups', (req, res) => {
+  const { group, error, status } = validateSessionGroup(req.body || {});
+  if (error) return res.status(status || 400).json({ error });
+  const created = { id: crypto.randomBytes(6).toString('hex'), ...group, created: new Date() };
+  sessionGroups.set(created.id, created);
   try {
-    session.shell?.kill();
-  } catch {}
+    writeSessionGroups();
+  } catch (e) {
+    sessionGroups.delete(created.id);
+    return res.status(500).json({ error: e?.message || 'write failed' });
+  }
+  notifySessionGroupChange(created.sessionIds);
+  res.status(201).json(serializeSessionGroup(created));
+});
+
+app.put('/api/groups/:id', (req, res) => {
+  const existing = sessionGroups.get(req.params.id);
+  if (!existing) return res.status(404).json({ error: '分组不存在' });
+  const { group, error, status } = validateSessionGroup(req.body || {}, existing);
+  if (error) return res.status(status || 400).json({ error });
+  const affected = [...existing.sessionIds, ...group.sessionIds];
+  // 写盘失败时放回原对象，内存里的分组保持不变
+  const updated = { ...existing, ...group };
+  sessionGroups.set(updated.id, updated);
+  try {
+    writeSessionGroups();
+  } catch (e) {
+    sessionGroups.set(existing.id, existing);
+    return res.status(500).json({ error: e?.message || 'write failed' });
+  }
+  notifySessionGroupChange(affected);
+  res.json(serializeSessionGroup(updated));
+});
+
+app.delete('/api/groups/:id', (req, res) => {
+  const group = sessionGroups.get(req.params.id);
+  if (!group) return res.status(404).json({ error: '分组不存在' });
+  sessionGroups.delete(group.id);
+  try {
+    writeSessionGroups();
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || 'write failed' });
+  }
+  notifySessionGroupChange(group.sessionIds);
+  res.json({ ok: true });
+});
+
+// Output watch rules of a session (regex / exit / idle)
+app.get('/api/sessions/:id/watches', (req, res) => {
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  res.json({ rules: (session.watchRules || []).map(serializeWatchRule) });
+});
+
+app.post('/api/sessions/:id/watches', (req, res) => {
+  const clientId = (req.query.clientId || req.body?.clientId || '').toString();
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  if (clientId && (session.clientId || '') !== clientId) return res.status(403).json({ error: 'forbidden' });
+  if ((session.watchRules || []).length >= WATCH_RULES_MAX) return res.status(400).json({ error: 'too many watch rules' });
+
+  const { rule, error } = validateWatchRule(req.body || {});
+  if (error) return res.status(400).json({ error });
+  rule.idleArmedAt = Date.now();
+  session.watchRules = [...(session.watchRules || []), rule];
+  markSessionsDirty();
+  res.status(201).json(serializeWatchRule(rule));
+});
+
+app.delete('/api/sessions/:id/watches/:ruleId', (req, res) => {
+  const clientId = (req.query.clientId || '').toString();
+  const session = terminalSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: '会话不存在' });
+  if (clientId && (session.clientId || '') !== clientId) return res.status(403).json({ error: 'forbidden' });
 
-  terminalSessions.delete(sessionId);
+  const before = (session.watchRules || []).length;
+  session.watchRules = (session.watchRules || []).filter((r) => r.id !== req.params.ruleId);
+  if (session.watchRules.length === before) return res.status(404).json({ error: '监视规则不存在' });
+  markSessionsDirty();
   res.json({ ok: true });
 });
 
+// Notifications fired by watch rules: recent list + SSE stream (reconnects resume via Last-Event-ID)
+app.get('/api/notifications', (req, res) => {
+  const since = Number.parseInt((req.query.since || '').toString(), 10) || 0;
+  res.json({ notifications: recentNotifications.filter((n) => n.id > since) });
+});
+
+app.get('/api/notifications/stream', (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+
+  const lastId = Number.parseInt((req.get('Last-Event-ID') || '').toString(), 10) || 0;
+  if (lastId) {
+    for (const n of recentNotifications) {
+      if (n.id > lastId) res.write(notificationEvent(n));
+    }
+  }
+  res.write(':ok\n\n');
+  notificationClients.add(res);
+  const heartbeat = setInterval(() => {
+    try {
+      res.write(':\n\n');
+    } catch {}
+  }, NOTIFICATION_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    notificationClients.delete(res);
+  });
+});
+
+// Recordings: list / download / delete (NO AUTH)
+app.get('/api/recordings', (req, res) => {
+  const sessionId = (req.query.sessionId || '').toString();
+  try {
+    const files = fs.existsSync(RECORDINGS_DIR) ? fs.readdirSync(RECORDINGS_DIR) : [];
+    const recordings = files
+      .filter((f) => RECORDING_FILE_RE.test(f))
+      .map((f) => {
+        try {
+          return readRecordingInfo(f);
+        } catch {
+          return null;
+        }
+      })
+      .filter((r) => r && (!sessionId || r.sessionId === sessionId))
+      .sort((a, b) => b.startedAt - a.startedAt);
+    res.json({ recordings });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || 'list failed' });
+  }
+});
+
+app.get('/api/recordings/:id', (req, res) => {
+  const full = recordingPath(req.params.id);
+  if (!full) return res.status(400).json({ error: 'invalid recording id' });
+  if (!fs.existsSync(full)) return res.status(404).json({ error: 'recording not found' });
+  res.setHeader('Content-Type', 'application/x-asciicast');
+  if (String(req.query.download || '') === '1') {
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.id}"`);
+  }
+  fs.createReadStream(full)
+    .on('error', (e) => res.destroy(e))
+    .pipe(res);
+});
+
+app.delete('/api/recordings/:id', (req, res) => {
+  const full = recordingPath(req.params.id);
+  if (!full) return res.status(400).json({ error: 'invalid recording id' });
+  if (!fs.existsSync(full)) return res.status(404).json({ error: 'recording not found' });
+  for (const session of terminalSessions.values()) {
+    if (session.recording?.file === req.params.id) stopSessionRecording(session);
+  }
+  try {
+    fs.rmSync(full, { force: true });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || 'delete failed' });
+  }
+});
+
+// Re-attach surviving shells / restore ended sessions before accepting connections.
+await restoreSessions();
+loadSessionGroups();
+loadJobs();
+loadSchedules();
+
 // HTTP server
 const server = app.listen(PORT, () => {
   console.log(`Listening on http://localhost:${PORT}`);
   console.log(`ROOT=${ROOT}`);
-  console.log(`ALLOWED_CMDS=${ALLOWED_CMDS.join(',')}`);
+  const { source, error } = readPolicy();
+  console.log(source === 'file' ? `命令策略: ${POLICY_FILE}${error ? '（无效，全部拒绝）' : ''}` : `ALLOWED_CMDS=${ALLOWED_CMDS.join(',')}`);
 });
 
+function applySessionResize(session, cols, rows) {
+  const c = Number.parseInt(cols ?? '', 10) || 80;
+  const r = Number.parseInt(rows ?? '', 10) || 24;
+
+  session.cols = c;
+  session.rows = r;
+  session.lastActivity = new Date();
+  session.shell?.resize(c, r);
+  session.vt?.term.resize(c, r);
+  recordSessionEvent(session, 'r', `${c}x${r}`);
+  markSessionsDirty();
+}
+
+function writeSessionInput(session, data) {
+  if (session.ended) return;
+  session.shell?.write(data);
+  session.stats.bytesIn += Buffer.byteLength(data, 'utf8');
+  session.lastActivity = new Date();
+}
+
+// Keyboard input from a socket: with synchronized input on, the other members of its group get it too.
+function handleTerminalInput(session, data) {
+  writeSessionInput(session, data);
+  const group = findSessionGroup(session.id);
+  if (!group?.sync) return;
+  for (const id of group.sessionIds) {
+    const other = id !== session.id ? terminalSessions.get(id) : null;
+    if (other) writeSessionInput(other, data);
+  }
+}
+
+// v2 control frames (JSON text)
+function handleControlMessage(ws, session, msg) {
+  switch (msg?.type) {
+    case 'resize':
+      applySessionResize(session, msg.cols, msg.rows);
+      return;
+    case 'ping':
+      sendControl(ws, { type: 'pong', t: msg.t ?? null });
+      return;
+    default:
+      sendControl(ws, { type: 'error', code: 'BAD_MESSAGE', message: `unknown message type: ${msg?.type}` });
+  }
+}
+
+// v1 in-band strings: anything that is not a known control string is terminal input.
+function handleLegacyMessage(ws, session, message) {
+  if (message.startsWith('RESIZE:')) {
+    const [, newCols, newRows] = message.split(':');
+    applySessionResize(session, newCols, newRows);
+    return;
+  }
+
+  if (message === 'GET_SESSION_ID') {
+    sendControl(ws, { type: 'hello', version: 1, sessionId: session.id });
+    return;
+  }
+
+  handleTerminalInput(session, message);
+}
+
+// Spectator sockets are read-only: only pings are answered, input and resizes are refused.
+function handleSpectatorMessage(ws, session, m, isBinary) {
+  const version = wsProtocolVersion(ws);
+  if (version < 2) {
+    if (m.toString() === 'GET_SESSION_ID') sendControl(ws, { type: 'hello', version: 1, sessionId: session.id });
+    return;
+  }
+  if (!isBinary) {
+    let msg = null;
+    try {
+      msg = JSON.parse(m.toString());
+    } catch {}
+    if (msg?.type === 'ping') {
+      sendControl(ws, { type: 'pong', t: msg.t ?? null });
+      return;
+    }
+    if (msg?.type === 'resize') return;
+  }
+  if (ws.readOnlyNotified) return;
+  ws.readOnlyNotified = true;
+  sendControl(ws, { type: 'error', code: 'READ_ONLY', message: 'spectators cannot send input' });
+}
+
+// Attach a socket to an existing session: screen snapshot first, then live output.
+function attachSocketWithSnapshot(ws, session, version) {
+  // Output produced while the snapshot is taken is queued for this socket and flushed right after it.
+  ws.awaitingSnapshot = true;
+  session.sockets.add(ws);
+  // Tell client the session id immediately (so it can persist/terminate reliably).
+  sendControl(ws, { type: 'hello', version, sessionId: session.id, status: sessionStatus(session), role: ws.role });
+  sendControl(ws, sessionProcessNotice(session));
+  sendControl(ws, { type: 'meta', sessionId: session.id, ...sessionMeta(session) });
+  if (findSessionGroup(session.id)) sendControl(ws, sessionGroupNotice(session.id));
+  snapshotVirtualTerminal(session.vt, (snapshot) => {
+    ws.awaitingSnapshot = false;
+    sendWsTextInChunks(ws, snapshot);
+    // Ended/exited sessions are read-only: history is kept, input is ignored.
+    if (session.ended) sendControl(ws, sessionEndNotice(session));
+    updateSessionFlow(session);
+  });
+  broadcastViewers(session);
+}
+
 // Interactive terminal via WebSocket (NO AUTH)
-const wss = new WebSocketServer({ server, path: '/ws/pty' });
+const wss = new WebSocketServer({
+  server,
+  path: '/ws/pty',
+  // Version handshake: clients offering the lanshell.v2 subprotocol get framed messages; others stay on v1.
+  handleProtocols: (protocols) => (protocols.has(WS_PROTOCOL_V2) ? WS_PROTOCOL_V2 : false),
+});
 wss.on('connection', (ws, req) => {
+  const version = wsProtocolVersion(ws);
   const url = new URL(req.url, 'http://localhost');
   const cwdParam = url.searchParams.get('cwd') || '.';
   const sessionId = url.searchParams.get('sessionId');
   const clientId = url.searchParams.get('clientId') || '';
+  const watchToken = url.searchParams.get('watch');
+  ws.role = watchToken ? 'spectator' : 'owner';
+  ws.viewer = {
+    address: req.socket?.remoteAddress || '',
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 200),
+    connectedAt: new Date(),
+  };
 
   const cwd = path.resolve(ROOT, cwdParam);
   if (!withinRoot(cwd)) return ws.close();
@@ -1492,110 +6126,194 @@ wss.on('connection', (ws, req) => {
 
   let session;
 
-  if (sessionId && terminalSessions.has(sessionId)) {
+  if (watchToken) {
+    session = findSessionBySpectatorToken(watchToken);
+    if (!session) {
+      console.log('⚠️ 观看链接无效或已撤销');
+      sendControl(ws, { type: 'error', code: 'SPECTATOR_INVALID', message: 'spectator link is invalid or revoked' });
+      try {
+        ws.close(1008, 'SPECTATOR_INVALID');
+      } catch {}
+      return;
+    }
+    console.log(`👀 观看者接入会话: ${session.id}`);
+    ws.spectatorToken = watchToken;
+    attachSocketWithSnapshot(ws, session, version);
+  } else if (sessionId && terminalSessions.has(sessionId)) {
     session = terminalSessions.get(sessionId);
     // Migrate older sessions: adopt clientId on first reconnect.
     if (clientId && !session.clientId) {
       session.clientId = clientId;
     }
-    if (clientId && (session.clientId || '') && (session.clientId || '') !== clientId) {
+    // 会话有 clientId 时必须带上相同的 clientId 才能以 owner 身份接入（只读观看走 watch token）
+    if (session.clientId && session.clientId !== clientId) {
       console.log(`⚠️ clientId不匹配，拒绝重连: ${sessionId}`);
-      try {
-        ws.send(`SESSION_FORBIDDEN:${sessionId}`);
-      } catch {}
+      sendControl(ws, { type: 'error', code: 'SESSION_FORBIDDEN', sessionId, message: 'session belongs to another client' });
       try {
         ws.close(1008, 'SESSION_FORBIDDEN');
       } catch {}
       return;
     }
     console.log(`🔄 重连到现有会话: ${sessionId}`);
-    session.sockets.add(ws);
-    if (session.history) sendWsTextInChunks(ws, session.history);
-    // Tell client the session id immediately (so it can persist/terminate reliably).
-    ws.send(`SESSION_ID:${session.id}`);
+    attachSocketWithSnapshot(ws, session, version);
   } else if (sessionId) {
     // Client is trying to reconnect to a session that no longer exists.
     // Do NOT create a new session in this case; otherwise stale localStorage (or multiple tabs)
     // will create many new sessions on refresh/restart.
     console.log(`⚠️ 会话不存在，拒绝重连: ${sessionId}`);
-    try {
-      ws.send(`SESSION_NOT_FOUND:${sessionId}`);
-    } catch {}
+    sendControl(ws, { type: 'error', code: 'SESSION_NOT_FOUND', sessionId, message: 'session not found' });
     try {
       ws.close(1008, 'SESSION_NOT_FOUND');
     } catch {}
+    return;
   } else {
     // IMPORTANT: never trust a client-provided sessionId for creating sessions.
     // Otherwise stale localStorage (or multiple tabs) can "resurrect" old ids and
     // explode session counts on refresh/restart.
-    const newSessionId = generateSessionId();
-    console.log(`🆕 创建新终端会话: ${newSessionId}`);
+    const profileId = url.searchParams.get('profile') || '';
+    const profile = findProfile(profileId);
+    if (!profile) {
+      console.log(`⚠️ 终端配置不存在: ${profileId}`);
+      sendControl(ws, { type: 'error', code: 'PROFILE_NOT_FOUND', message: `profile not found: ${profileId}` });
+      try {
+        ws.close(1008, 'PROFILE_NOT_FOUND');
+      } catch {}
+      return;
+    }
+    // 配置里的起始目录优先于 query 中的 cwd
+    const sessionCwd = profile.cwd ? path.resolve(ROOT, profile.cwd) : cwd;
+    if (!withinRoot(sessionCwd)) return ws.close();
+
+    const capError = sessionCapError(clientId);
+    if (capError) {
+      console.log(`⚠️ 拒绝新建会话（clientId=${clientId || '-'}）: ${capError}`);
+      sendControl(ws, { type: 'error', code: 'SESSION_LIMIT', message: capError });
+      try {
+        ws.close(1008, 'SESSION_LIMIT');
+      } catch {}
+      return;
+    }
 
-    const shell = pty.spawn('/bin/bash', [], {
-      cwd,
-      name: 'xterm-color',
-      cols,
-      rows,
-    });
+    const newSessionId = generateSessionId();
+    console.log(`🆕 创建新终端会话: ${newSessionId}（配置 ${profile.id}）`);
+
+    const launch = shellLaunchArgs(profile);
+    const limits = effectiveSessionLimits(profile);
+    const limitError = spawnLimitsError(limits);
+    if (limitError) {
+      console.log(`⚠️ 拒绝新建会话（配置 ${profile.id}）: ${limitError}`);
+      sendControl(ws, { type: 'error', code: 'SPAWN_FAILED', message: limitError });
+      try {
+        ws.close(1011, 'SPAWN_FAILED');
+      } catch {}
+      return;
+    }
+    const spawnTarget = applySpawnLimits(profile.shell, launch.args, limits);
+    let shell;
+    try {
+      shell = spawnSessionShell(newSessionId, spawnTarget.file, spawnTarget.args, {
+        cwd: sessionCwd,
+        name: profile.term,
+        cols,
+        rows,
+        env: { ...process.env, TERM: profile.term, ...launch.env, ...profile.env },
+      });
+    } catch (e) {
+      console.error(`启动 shell 失败 (${profile.shell}):`, e?.message || e);
+      sendControl(ws, { type: 'error', code: 'SPAWN_FAILED', message: e?.message || 'spawn failed' });
+      try {
+        ws.close(1011, 'SPAWN_FAILED');
+      } catch {}
+      return;
+    }
 
     session = {
       id: newSessionId,
       shell,
-      cwd,
+      profile: profile.id,
+      shellPath: profile.shell,
+      term: profile.term,
+      limits,
+      cwd: sessionCwd,
+      foreground: null,
       cols,
       rows,
       clientId,
       created: new Date(),
       lastActivity: new Date(),
+      ended: false,
+      endedAt: null,
+      exitCode: null,
+      signal: null,
+      removeTimer: null,
       history: '',
+      vt: createVirtualTerminal(cols, rows),
       sockets: new Set(),
+      spectators: new Map(),
+      commands: [],
+      commandSeq: 0,
+      watchRules: [],
+      lastOutputAt: null,
+      stats: createSessionStats(),
+      flowPaused: false,
+      flowTimer: null,
     };
+    installCommandTracking(session);
+    installTitleTracking(session);
 
     session.sockets.add(ws);
     terminalSessions.set(newSessionId, session);
+    markSessionsDirty();
 
     // Send title + client-readable session id
-    ws.send(`\x1b]0;Session: ${newSessionId}\x07`);
-    ws.send(`SESSION_ID:${session.id}`);
+    sendControl(ws, { type: 'title', title: `Session: ${newSessionId}` });
+    sendControl(ws, { type: 'hello', version, sessionId: session.id, status: sessionStatus(session), role: ws.role });
 
-    shell.onData((data) => {
-      // 仅用于刷新后的回放：保留足够长的输出，并避免 clear 等操作把回滚区“清零”
-      session.history = trimHistoryForReplay((session.history || '') + filterHistoryForReplay(data));
-      session.lastActivity = new Date();
-
-      for (const sock of session.sockets) {
-        if (sock.readyState === 1) sock.send(data);
+    const recordParam = url.searchParams.get('record');
+    if (recordParam === '1' || (RECORD_SESSIONS && recordParam !== '0')) {
+      // 录像目录不可写等错误不影响会话本身，不录像继续
+      try {
+        startSessionRecording(session);
+      } catch (e) {
+        session.recording = null;
+        console.error(`录像启动失败 (${session.id}):`, e?.message || e);
       }
-    });
+    }
+    bindSessionShell(session);
+    if (profile.initialCommand) writeSessionInput(session, `${profile.initialCommand}\r`);
   }
 
-  ws.on('message', (m) => {
-    const message = m.toString();
-
-    if (message.startsWith('RESIZE:')) {
-      const [, newCols, newRows] = message.split(':');
-      const c = Number.parseInt(newCols || '', 10) || 80;
-      const r = Number.parseInt(newRows || '', 10) || 24;
-
-      session.cols = c;
-      session.rows = r;
-      session.lastActivity = new Date();
-      session.shell?.resize(c, r);
+  ws.on('message', (m, isBinary) => {
+    if (ws.role === 'spectator') {
+      handleSpectatorMessage(ws, session, m, isBinary);
       return;
     }
-
-    if (message === 'GET_SESSION_ID') {
-      ws.send(`SESSION_ID:${session.id}`);
+    if (version < 2) {
+      handleLegacyMessage(ws, session, m.toString());
       return;
     }
 
-    session.shell?.write(message);
-    session.lastActivity = new Date();
+    // v2: binary frames are always terminal input, text frames are always control messages.
+    if (isBinary) {
+      handleTerminalInput(session, m.toString('utf8'));
+      return;
+    }
+    let msg = null;
+    try {
+      msg = JSON.parse(m.toString());
+    } catch {
+      sendControl(ws, { type: 'error', code: 'BAD_MESSAGE', message: 'control frames must be JSON' });
+      return;
+    }
+    handleControlMessage(ws, session, msg);
   });
 
   ws.on('close', () => {
     try {
       session?.sockets?.delete(ws);
+      // 最后一个跟不上的客户端离开时恢复 PTY
+      if (session) updateSessionFlow(session);
+      if (session) broadcastViewers(session);
     } catch {}
     console.log(`🔌 WebSocket连接关闭，会话 ${session?.id || '(none)'} 保持运行`);
   });
@@ -1608,18 +6326,46 @@ setInterval(() => {
     const inactiveTime = now - session.lastActivity;
     if (inactiveTime > 24 * 60 * 60 * 1000) {
       console.log(`🗑️ 清理过期会话: ${id}`);
-      try {
-        session.shell?.kill();
-      } catch {}
-      terminalSessions.delete(id);
+      removeSession(id);
     }
   }
 }, 60 * 60 * 1000);
 
+// Follow each running shell's cwd and foreground process.
+setInterval(() => {
+  for (const session of terminalSessions.values()) updateSessionProcessInfo(session);
+}, PROCESS_POLL_INTERVAL_MS);
+
+// Idle watch rules ("no output for N seconds").
+setInterval(() => {
+  for (const session of terminalSessions.values()) checkWatchRulesIdle(session);
+}, WATCH_IDLE_CHECK_INTERVAL_MS);
+
+// Scheduled commands (cron).
+setInterval(checkSchedules, SCHEDULE_CHECK_INTERVAL_MS);
+
+// Persist session snapshots (metadata + replay history) so a restart can restore them.
+setInterval(() => {
+  enforceHistoryBudget();
+  if (sessionsDirty) writeSessionSnapshot();
+}, SESSION_SNAPSHOT_INTERVAL_MS);
+
 // Graceful shutdown on SIGINT/SIGTERM
 ['SIGINT', 'SIGTERM'].forEach((sig) => {
   process.on(sig, () => {
     console.log(`\nReceived ${sig}, shutting down...`);
+    // 最后一次快照：托管进程中的 shell 会继续运行，下次启动时重新挂接
+    writeSessionSnapshot();
+    // 通知流、任务输出流（SSE）和终端 WebSocket 都是长连接，server.close 会一直等它们结束，先主动断开
+    for (const res of notificationClients) {
+      try {
+        res.end();
+      } catch {}
+    }
+    for (const ws of wss.clients) ws.terminate();
     server.close(() => process.exit(0));
+    server.closeAllConnections();
+    // 兜底：还有连接没关掉时也不要一直挂着
+    setTimeout(() => process.exit(0), 5000).unref();
   });
 });
@@ -0,0 +1,237 @@
+/**
+* Copyright (c) 2025 OldYuTou https://github.com/OldYuTou
+* Project: LAN-SHELL
+* Released under the MIT License.
+* 欢迎使用并提供反馈!
+* Hope to get your advice!
+*/
+
+// Detachable session host: owns the PTYs so shells survive a server.js restart/upgrade.
+// server.js spawns this process detached and talks to it over a unix socket using
+// newline-delimited JSON. Only one server connection is served at a time.
+//
+// server -> host: spawn / write / resize / kill / pause / resume / list / attach
+// host -> server: spawned / data / exit / list / error
+//
+// While no server is attached, PTY output is buffered (bounded) and delivered on `attach`.
+
+import net from 'net';
+import fs from 'fs';
+import pty from 'node-pty';
+
+const SOCKET_PATH = process.env.SESSION_HOST_SOCKET || process.argv[2];
+const BUFFER_MAX_CHARS = Number.parseInt(process.env.HISTORY_MAX_CHARS || '', 10) || 500000;
+
+if (!SOCKET_PATH) {
+  console.error('session-host: missing socket path');
+  process.exit(1);
+}
+
+const entries = new Map(); // id -> { id, shell, pid, attached, pending, exited, exitCode, signal }
+let client = null;
+
+function send(msg) {
+  if (!client || client.destroyed) return false;
+  try {
+    client.write(`${JSON.stringify(msg)}\n`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function bufferOutput(entry, data) {
+  entry.pending += data;
+  if (entry.pending.length > BUFFER_MAX_CHARS) {
+    entry.pending = entry.pending.slice(entry.pending.length - BUFFER_MAX_CHARS);
+  }
+}
+
+function maybeExit() {
+  // Nothing left to keep alive: no server and no running shells.
+  if (client) return;
+  for (const e of entries.values()) {
+    if (!e.exited) return;
+  }
+  try { fs.unlinkSync(SOCKET_PATH); } catch {}
+  process.exit(0);
+}
+
+function spawnEntry(msg) {
+  const { id, file, args = [], options = {} } = msg;
+  if (!id || entries.has(id)) {
+    send({ op: 'error', id, error: 'invalid or duplicate id' });
+    return;
+  }
+  let shell;
+  try {
+    shell = pty.spawn(file, args, options);
+  } catch (e) {
+    send({ op: 'error', id, error: e?.message || 'spawn failed' });
+    return;
+  }
+
+  const entry = {
+    id,
+    shell,
+    pid: shell.pid,
+    attached: true,
+    pending: '',
+    exited: false,
+    exitCode: null,
+    signal: null,
+  };
+  entries.set(id, entry);
+
+  shell.onData((data) => {
+    if (entry.attached && send({ op: 'data', id, data })) return;
+    bufferOutput(entry, data);
+  });
+
+  shell.onExit(({ exitCode, signal }) => {
+    entry.exited = true;
+    entry.exitCode = exitCode;
+    entry.signal = signal || null;
+    if (entry.attached && send({ op: 'exit', id, exitCode, signal: entry.signal })) {
+      entries.delete(id);
+    }
+    maybeExit();
+  });
+
+  send({ op: 'spawned', id, pid: shell.pid });
+}
+
+// Flow-control state lives in server.js; when it goes away, never leave a shell paused.
+function detachAll() {
+  for (const e of entries.values()) {
+    e.attached = false;
+    if (!e.exited) {
+      try { e.shell.resume(); } catch {}
+    }
+  }
+}
+
+function attachEntry(id) {
+  const entry = entries.get(id);
+  if (!entry) {
+    send({ op: 'error', id, error: 'not found' });
+    return;
+  }
+  entry.attached = true;
+  if (entry.pending) {
+    send({ op: 'data', id, data: entry.pending });
+    entry.pending = '';
+  }
+  if (entry.exited) {
+    send({ op: 'exit', id, exitCode: entry.exitCode, signal: entry.signal });
+    entries.delete(id);
+  }
+}
+
+function handleMessage(msg) {
+  if (!msg || typeof msg !== 'object') return;
+  const entry = msg.id ? entries.get(msg.id) : null;
+
+  switch (msg.op) {
+    case 'spawn':
+      spawnEntry(msg);
+      break;
+    case 'write':
+      if (entry && !entry.exited) entry.shell.write(String(msg.data ?? ''));
+      break;
+    case 'resize':
+      if (entry && !entry.exited) {
+        try { entry.shell.resize(msg.cols, msg.rows); } catch {}
+      }
+      break;
+    case 'kill':
+      if (entry && !entry.exited) {
+        try { entry.shell.kill(msg.signal || undefined); } catch {}
+      }
+      break;
+    case 'pause':
+      // Flow control from server.js: stop reading the PTY while every viewer is saturated.
+      if (entry && !entry.exited) {
+        try { entry.shell.pause(); } catch {}
+      }
+      break;
+    case 'resume':
+      if (entry && !entry.exited) {
+        try { entry.shell.resume(); } catch {}
+      }
+      break;
+    case 'attach':
+      attachEntry(msg.id);
+      break;
+    case 'list':
+      send({
+        op: 'list',
+        sessions: Array.from(entries.values()).map((e) => ({
+          id: e.id,
+          pid: e.pid,
+          exited: e.exited,
+          exitCode: e.exitCode,
+          signal: e.signal,
+        })),
+      });
+      break;
+    default:
+      send({ op: 'error', id: msg.id, error: `unknown op: ${msg.op}` });
+  }
+}
+
+const server = net.createServer((sock) => {
+  // A newer server.js instance replaces the old connection (e.g. after a crash left it half-open)
+  // once it sends its first message; a bare connect (another host probing the socket) changes nothing.
+  const adopt = () => {
+    if (client === sock) return;
+    if (client) {
+      try { client.destroy(); } catch {}
+    }
+    client = sock;
+    detachAll();
+  };
+
+  sock.setEncoding('utf8');
+  let buf = '';
+  sock.on('data', (chunk) => {
+    buf += chunk;
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, nl);
+      buf = buf.slice(nl + 1);
+      if (!line.trim()) continue;
+      adopt();
+      try {
+        handleMessage(JSON.parse(line));
+      } catch (e) {
+        console.error('session-host: bad message:', e?.message || e);
+      }
+    }
+  });
+
+  sock.on('error', () => {});
+  sock.on('close', () => {
+    if (client !== sock) return;
+    client = null;
+    detachAll();
+    maybeExit();
+  });
+});
+
+// Only remove a stale socket file: if another host still answers on it, leave it alone and quit.
+const probe = net.connect(SOCKET_PATH);
+probe.on('connect', () => {
+  probe.destroy();
+  console.error(`session-host: ${SOCKET_PATH} is in use by another host`);
+  process.exit(1);
+});
+probe.on('error', () => {
+  try { fs.unlinkSync(SOCKET_PATH); } catch {}
+  server.listen(SOCKET_PATH, () => {
+    try { fs.chmodSync(SOCKET_PATH, 0o600); } catch {}
+  });
+});
+
+// If the spawning server never connects, do not linger forever.
+setTimeout(maybeExit, 30 * 1000);
@@ -0,0 +1,76 @@
+# LAN-SHELL bash shell integration (OSC 133 / FinalTerm prompt marks).
+#
+# server.js starts bash with `--rcfile <this file>`. The user's usual startup files are loaded
+# first, then prompts and commands are marked so the server can split output into commands:
+#   A  prompt start      B  prompt end (command input starts)
+#   C  output start (with the percent-encoded command line)      D  command finished (exit status)
+# The working directory is reported with OSC 7 before every prompt.
+
+if [ -n "$LANSHELL_LOGIN_SHELL" ]; then
+  # Profiles with `login: true`: --rcfile cannot be combined with -l, so read the login files here.
+  unset LANSHELL_LOGIN_SHELL
+  [ -r /etc/profile ] && . /etc/profile
+  for __lanshell_f in ~/.bash_profile ~/.bash_login ~/.profile; do
+    if [ -r "$__lanshell_f" ]; then
+      . "$__lanshell_f"
+      break
+    fi
+  done
+  unset __lanshell_f
+else
+  [ -r /etc/bash.bashrc ] && . /etc/bash.bashrc
+  [ -r ~/.bashrc ] && . ~/.bashrc
+fi
+
+if [ -z "$__lanshell_integrated" ]; then
+  __lanshell_integrated=1
+
+  __lanshell_urlencode() {
+    local LC_ALL=C s="$1" out='' c i
+    for ((i = 0; i < ${#s}; i++)); do
+      c=${s:i:1}
+      case "$c" in
+        [a-zA-Z0-9.~_/-]) out+=$c ;;
+        *)
+          printf -v c '%%%02X' "'$c"
+          out+=$c
+          ;;
+      esac
+    done
+    printf '%s' "$out"
+  }
+
+  # Runs from the DEBUG trap before the first command after a prompt. The full command line is
+  # taken from history when it was recorded; lines kept out of history by HISTCONTROL
+  # (ignorespace/ignoreboth) or HISTIGNORE fall back to $BASH_COMMAND (the first simple command).
+  __lanshell_preexec() {
+    [ -n "$__lanshell_armed" ] || return
+    unset __lanshell_armed
+    # an empty command line goes straight to PROMPT_COMMAND
+    [[ $BASH_COMMAND == __lanshell_precmd* ]] && return
+    local cmd last
+    last=$(HISTTIMEFORMAT='' builtin history 1)
+    if [ "$last" != "$__lanshell_lasthist" ]; then
+      cmd=$(printf '%s\n' "$last" | sed -e 's/^ *[0-9]*\*\{0,1\} *//')
+    else
+      cmd=$BASH_COMMAND
+    fi
+    printf '\e]133;C;cmdline_url=%s\a' "$(__lanshell_urlencode "$cmd")"
+  }
+
+  __lanshell_precmd() {
+    local status=$?
+    printf '\e]133;D;%s\a' "$status"
+    # OSC 7: report the working directory so the server does not have to wait for its /proc poll
+    printf '\e]7;file://%s%s\a' "${HOSTNAME:-}" "$(__lanshell_urlencode "$PWD")"
+    printf '\e]133;A\a'
+    __lanshell_lasthist=$(HISTTIMEFORMAT='' builtin history 1)
+    return $status
+  }
+
+  # The last PROMPT_COMMAND entry arms the trap for the next command line. It goes on its own
+  # line because an existing PROMPT_COMMAND may already end with `;` (e.g. pyenv's hook).
+  trap '__lanshell_preexec' DEBUG
+  PROMPT_COMMAND="__lanshell_precmd${PROMPT_COMMAND:+; $PROMPT_COMMAND}"$'\n''__lanshell_armed=1'
+  PS1="${PS1}\[\e]133;B\a\]"
+fi